@@ -0,0 +1,196 @@
+import { validationResult } from "express-validator";
+
+import HttpError from "../models/http-error.js";
+import Mood from "../models/mood.js";
+import Place from "../models/place.js";
+import {
+  hexToLab,
+  isPaletteMatch,
+  paletteMatchScore,
+} from "../util/color-service.js";
+
+// Per-mood place counts require scoring every analyzed palette against every
+// mood, so they are cached briefly and dropped whenever the catalog changes.
+const COUNT_CACHE_TTL_MS = 60 * 1000;
+let countCache = { expiresAt: 0, counts: null };
+
+const clearCountCache = () => {
+  countCache = { expiresAt: 0, counts: null };
+};
+
+const countPlacesPerMood = async (moods) => {
+  if (countCache.counts && countCache.expiresAt > Date.now()) {
+    return countCache.counts;
+  }
+
+  // One pass over the palettes, streamed rather than loaded all at once
+  const counts = new Map(moods.map((mood) => [mood.id, 0]));
+  const cursor = Place.find({ "colorPalette.0": { $exists: true } })
+    .select("colorPalette")
+    .lean()
+    .cursor();
+  for await (const { colorPalette } of cursor) {
+    for (const mood of moods) {
+      const { score } = paletteMatchScore(
+        colorPalette,
+        mood.centers,
+        mood.radius,
+      );
+      if (isPaletteMatch(score, mood.minScore)) {
+        counts.set(mood.id, counts.get(mood.id) + 1);
+      }
+    }
+  }
+
+  countCache = { expiresAt: Date.now() + COUNT_CACHE_TTL_MS, counts };
+  return counts;
+};
+
+// Admins may describe a region either as hex anchors (`colors`) or directly
+// as Lab centers (`centers`). Returns undefined when neither is given.
+const resolveCenters = ({ colors, centers }) => {
+  if (Array.isArray(colors) && colors.length > 0) {
+    const labs = colors.map(hexToLab);
+    if (labs.some((lab) => lab === null)) {
+      throw new HttpError("Invalid hex color in colors.", 422);
+    }
+    return labs;
+  }
+  if (Array.isArray(centers) && centers.length > 0) {
+    return centers;
+  }
+  return undefined;
+};
+
+const MOOD_FIELDS = [
+  "label",
+  "swatch",
+  "radius",
+  "minScore",
+  "order",
+  "active",
+];
+
+export const getMoods = async (req, res, next) => {
+  let moods;
+  let counts;
+  try {
+    moods = await Mood.find({ active: true }).sort({ order: 1, label: 1 });
+    counts = await countPlacesPerMood(moods);
+  } catch (err) {
+    return next(
+      new HttpError(
+        "Failed to fetch color moods. Please try again later.",
+        500,
+      ),
+    );
+  }
+
+  res.json({
+    moods: moods.map((mood) => ({
+      ...mood.toObject({ getters: true }),
+      count: counts.get(mood.id) ?? 0,
+    })),
+  });
+};
+
+export const createMood = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new HttpError("Invalid inputs passed. Please check your data.", 422),
+    );
+  }
+
+  let centers;
+  try {
+    centers = resolveCenters(req.body);
+  } catch (err) {
+    return next(err);
+  }
+  if (!centers) {
+    return next(
+      new HttpError("Provide the mood region as colors or centers.", 422),
+    );
+  }
+
+  const newMood = new Mood({ key: req.body.key, centers });
+  for (const field of MOOD_FIELDS) {
+    if (req.body[field] !== undefined) newMood[field] = req.body[field];
+  }
+
+  try {
+    if (await Mood.exists({ key: newMood.key })) {
+      return next(new HttpError("A mood with this key already exists.", 422));
+    }
+    await newMood.save();
+  } catch (err) {
+    return next(
+      new HttpError("Failed to create mood. Please check your data.", 422),
+    );
+  }
+
+  clearCountCache();
+  res.status(201).json({ mood: newMood.toObject({ getters: true }) });
+};
+
+export const updateMood = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new HttpError("Invalid inputs passed. Please check your data.", 422),
+    );
+  }
+
+  let mood;
+  try {
+    mood = await Mood.findOne({ key: req.params.moodKey.toLowerCase() });
+  } catch (err) {
+    return next(
+      new HttpError("Could not update mood. Please try again later.", 500),
+    );
+  }
+  if (!mood) {
+    return next(new HttpError("No mood was found for the provided key.", 404));
+  }
+
+  try {
+    const centers = resolveCenters(req.body);
+    if (centers) mood.centers = centers;
+  } catch (err) {
+    return next(err);
+  }
+  for (const field of MOOD_FIELDS) {
+    if (req.body[field] !== undefined) mood[field] = req.body[field];
+  }
+
+  try {
+    await mood.save();
+  } catch (err) {
+    return next(
+      new HttpError("Could not update mood. Please check your data.", 422),
+    );
+  }
+
+  clearCountCache();
+  res.status(200).json({ mood: mood.toObject({ getters: true }) });
+};
+
+export const deleteMood = async (req, res, next) => {
+  let mood;
+  try {
+    mood = await Mood.findOneAndDelete({
+      key: req.params.moodKey.toLowerCase(),
+    });
+  } catch (err) {
+    return next(
+      new HttpError("Could not delete mood. Please try again later.", 500),
+    );
+  }
+  if (!mood) {
+    return next(new HttpError("No mood was found for the provided key.", 404));
+  }
+
+  clearCountCache();
+  res.status(200).json({ message: "Mood deleted" });
+};
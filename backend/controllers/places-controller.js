@@ -2,18 +2,86 @@ import { validationResult } from "express-validator";
 import mongoose from "mongoose";
 
 import HttpError from "../models/http-error.js";
-import getCoorsForAddress from "../util/location.js";
+import { describeLocation, locateAddress } from "../util/location.js";
+import { readExif } from "../util/exif.js";
+import {
+  bboxFilter,
+  matchesGeo,
+  parseGeoQuery,
+  parsePagination,
+  toGeoPoint,
+} from "../util/geo.js";
+import {
+  HEAVY_FIELDS,
+  findPlacePage,
+  parseListingQuery,
+  parseTags,
+} from "../util/place-listing.js";
+import {
+  highlightPlace,
+  parseSearchQuery,
+  searchTerms,
+} from "../util/text-search.js";
 import Place from "../models/place.js";
 import User from "../models/user.js";
+import Mood from "../models/mood.js";
 
 // Colorwalk: import color analysis and text embedding pipeline
 import {
-  analyzeImageColor,
   generateTextEmbedding,
   colorPaletteSimilarity,
   adaptiveWeights,
   pairAdaptiveWeights,
+  cosineSimilarity,
+  hexToLab,
+  isPaletteMatch,
+  paletteMatchScore,
 } from "../util/color-service.js";
+import {
+  enqueuePlaceAnalysis,
+  ANALYSIS_STEPS,
+} from "../util/place-analysis.js";
+import { wakeJobWorker } from "../util/job-queue.js";
+import {
+  MAX_PHOTOS,
+  ensurePhotos,
+  photoFromUpload,
+  syncCover,
+} from "../util/place-photos.js";
+import {
+  buildQueryColorData,
+  parseColorMetricQuery,
+} from "../util/color-query.js";
+import { reciprocalRankFusion } from "../util/rank-fusion.js";
+import {
+  MATCH_THRESHOLDS,
+  calibrateColor,
+  calibrateText,
+  calibrationInfo,
+} from "../util/score-calibration.js";
+import {
+  feedbackColorSim,
+  parseFeedback,
+  refineQuery,
+} from "../util/relevance-feedback.js";
+import vectorStore from "../util/vector-store.js";
+import { INDEX_FIELDS, toEntry } from "../util/vector-index.js";
+import { discardImage } from "../util/storage.js";
+
+// The edit has already committed when the vector index is updated, so a
+// failure there is logged rather than turned into an error response; the
+// place is indexed again the next time it is analyzed, and search results
+// are read from the database, so a place left in the index is dropped there.
+const updateVectorIndex = async (action, placeId) => {
+  try {
+    await vectorStore[action](placeId);
+  } catch (err) {
+    console.error(
+      `[vector-store] Could not ${action} place ${placeId}:`,
+      err.message,
+    );
+  }
+};
 
 // ── Existing controller functions below — no lines changed ────────
 
@@ -35,22 +103,223 @@ export const getPlaceById = async (req, res, next) => {
   res.json({ place: place.toObject({ getters: true }) });
 };
 
+const respondWithListing = async (req, res, next, baseFilter) => {
+  let listing;
+  try {
+    listing = parseListingQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  let result;
+  try {
+    result = await findPlacePage(baseFilter, listing);
+  } catch (err) {
+    return next(
+      new HttpError("Could not find places. Please try again later.", 500),
+    );
+  }
+
+  res.json({
+    places: result.places,
+    pagination: {
+      limit: listing.limit,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      hasMore: result.nextCursor !== null,
+    },
+  });
+};
+
+/**
+ * GET /api/places[?limit=&cursor=&sort=&…]
+ *
+ * Public feed of every place, newest first by default. See
+ * util/place-listing.js for the sorting and filter parameters.
+ */
+export const getPlaces = async (req, res, next) => {
+  return respondWithListing(req, res, next, {});
+};
+
+/**
+ * GET /api/places/user/:userId[?limit=&cursor=&sort=&…]
+ *
+ * A user's places, with the same paging and filters as the public feed.
+ */
 export const getPlacesByUserId = async (req, res, next) => {
   const userId = req.params.userId;
-  let user;
+  let userExists;
   try {
-    user = await User.findById(userId).populate("places");
+    userExists = await User.exists({ _id: userId });
   } catch (err) {
     return next(
       new HttpError("Could not find places. Please try again later.", 500),
     );
   }
-  if (!user) {
+  if (!userExists) {
     return next(
       new HttpError("No user was found for the provided user id.", 404),
     );
   }
-  res.json({ places: user.places.map((p) => p.toObject({ getters: true })) });
+  return respondWithListing(req, res, next, {
+    creatorId: new mongoose.Types.ObjectId(userId),
+  });
+};
+
+/**
+ * One page of places matching a parsed geo constraint, nearest to its center
+ * first, each with its `distance` from the center in meters.
+ */
+const findPlacesByGeo = async (geo, { skip, limit }) => {
+  const [{ places, total }] = await Place.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(geo.center),
+        key: "location",
+        distanceField: "distance",
+        spherical: true,
+        ...(geo.kind === "near"
+          ? { maxDistance: geo.radius }
+          : { query: bboxFilter(geo) }),
+      },
+    },
+    {
+      $facet: {
+        places: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: HEAVY_FIELDS },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    places: places.map(({ distance, ...place }) => ({
+      ...Place.hydrate(place).toObject({ getters: true }),
+      distance: Math.round(distance),
+    })),
+    total: total[0]?.count ?? 0,
+  };
+};
+
+const respondWithGeoPage = async (req, res, next, geo) => {
+  let pagination;
+  try {
+    pagination = parsePagination(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  let result;
+  try {
+    result = await findPlacesByGeo(geo, pagination);
+  } catch (err) {
+    return next(
+      new HttpError("Could not search places. Please try again later.", 500),
+    );
+  }
+
+  const { page, limit, skip } = pagination;
+  res.json({
+    places: result.places,
+    pagination: {
+      page,
+      limit,
+      total: result.total,
+      hasMore: skip + result.places.length < result.total,
+    },
+  });
+};
+
+/**
+ * GET /api/places/near?lat=&lng=[&radius=][&page=][&limit=]
+ *
+ * Places within `radius` meters (default 5000) of a point, nearest first.
+ */
+export const getPlacesNear = async (req, res, next) => {
+  let geo;
+  try {
+    geo = parseGeoQuery({
+      lat: req.query.lat ?? "",
+      lng: req.query.lng ?? "",
+      radius: req.query.radius,
+    });
+  } catch (error) {
+    return next(error);
+  }
+  return respondWithGeoPage(req, res, next, geo);
+};
+
+/**
+ * GET /api/places/within?bbox=west,south,east,north[&page=][&limit=]
+ *
+ * Places inside a map viewport, nearest to its center first.
+ */
+export const getPlacesWithin = async (req, res, next) => {
+  let geo;
+  try {
+    geo = parseGeoQuery({ bbox: req.query.bbox ?? "" });
+  } catch (error) {
+    return next(error);
+  }
+  return respondWithGeoPage(req, res, next, geo);
+};
+
+/**
+ * GET /api/places/search?q=[&page=][&limit=]
+ *
+ * Keyword search over title, address and description, best match first.
+ * `q` follows MongoDB $text syntax: "quoted phrases" and -excluded words.
+ * Each place carries its relevance `score` and `highlights` (see
+ * util/text-search.js).
+ */
+export const searchPlaces = async (req, res, next) => {
+  let q;
+  let pagination;
+  try {
+    q = parseSearchQuery(req.query);
+    pagination = parsePagination(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  const { page, limit, skip } = pagination;
+
+  const filter = { $text: { $search: q } };
+  let places;
+  let total;
+  try {
+    [places, total] = await Promise.all([
+      Place.find(filter, {
+        ...HEAVY_FIELDS,
+        score: { $meta: "textScore" },
+      })
+        .sort({ score: { $meta: "textScore" }, _id: 1 })
+        .skip(skip)
+        .limit(limit),
+      Place.countDocuments(filter),
+    ]);
+  } catch (err) {
+    return next(
+      new HttpError("Could not search places. Please try again later.", 500),
+    );
+  }
+
+  const terms = searchTerms(q);
+  res.json({
+    places: places.map((place) => ({
+      ...place.toObject({ getters: true }),
+      score: Math.round(place.get("score") * 1000) / 1000,
+      highlights: highlightPlace(place, terms),
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      hasMore: skip + places.length < total,
+    },
+  });
 };
 
 export const createPlace = async (req, res, next) => {
@@ -61,23 +330,57 @@ export const createPlace = async (req, res, next) => {
     );
   }
 
-  const { title, address, description } = req.body;
+  if (!req.file) {
+    return next(new HttpError("Please provide an image for the place.", 422));
+  }
+
+  const { title, address, description, useImageLocation } = req.body;
+
+  let tags;
+  try {
+    tags = parseTags(req.body.tags);
+  } catch (error) {
+    return next(error);
+  }
+
+  // A photo's GPS position is used when the address is left blank, or when
+  // the client accepted the offer from POST /photo-metadata
+  const gps = req.file.exif?.coordinates;
+  const usePhotoLocation = !!gps && (!address || useImageLocation === "true");
+  if (!address && !gps) {
+    return next(
+      new HttpError(
+        "Please provide an address, or a photo with location data.",
+        422,
+      ),
+    );
+  }
 
-  let coordinates;
+  let location;
   try {
-    coordinates = await getCoorsForAddress(address);
+    location = usePhotoLocation
+      ? await describeLocation(gps)
+      : await locateAddress(address);
   } catch (error) {
     return next(error);
   }
 
+  const photo = photoFromUpload(req.file);
   const newPlace = new Place({
     title,
     description,
-    address,
-    coordinates,
-    image: req.file.path,
+    address: address || location.formattedAddress,
+    coordinates: location.coordinates,
+    addressComponents: location.addressComponents,
+    locationSource: usePhotoLocation ? "photo" : "address",
+    image: photo.url,
+    capturedAt: photo.capturedAt,
+    cameraOrientation: photo.cameraOrientation,
+    photos: [photo],
+    tags,
     creatorId: req.userData.userId,
   });
+  newPlace.coverPhotoId = newPlace.photos[0]._id;
 
   let user;
   try {
@@ -92,93 +395,30 @@ export const createPlace = async (req, res, next) => {
     return next(new HttpError("Could not find user for the provided id.", 404));
   }
 
+  // Colorwalk: the analysis job is enqueued in the same transaction as the
+  // place itself, so a place can never be saved without its pipeline job.
+  // The job worker (util/job-queue.js) runs it after the response is sent and
+  // retries with backoff; progress is visible on place.analysisStatus.
+  const session = await mongoose.startSession();
   try {
-    const session = await mongoose.startSession();
     session.startTransaction();
+    newPlace.analysisStatus = "pending";
     await newPlace.save({ session });
     user.places.push(newPlace);
     await user.save({ session });
+    await enqueuePlaceAnalysis(newPlace._id, { session });
     await session.commitTransaction();
+    wakeJobWorker();
   } catch (err) {
     await session.abortTransaction();
     return next(
       new HttpError("Failed to create place. Please try again later.", 500),
     );
+  } finally {
+    session.endSession();
   }
 
-  // Main flow ends here — identical to v1
   res.status(201).json({ place: newPlace });
-
-  // Colorwalk: run color analysis and text embedding in parallel after response is sent.
-  //
-  // Why setImmediate: pushes execution to the next event loop tick, guaranteeing
-  // res.json() has fully flushed before the pipeline starts. The user never waits
-  // for this work.
-  //
-  // Why Promise.allSettled over Promise.all: allSettled lets both tasks run to
-  // completion independently. If OpenAI times out, color data still gets written,
-  // and vice versa. Promise.all would short-circuit on the first failure.
-  setImmediate(async () => {
-    const [colorResult, embeddingResult] = await Promise.allSettled([
-      analyzeImageColor(newPlace.image),
-      generateTextEmbedding({
-        title: newPlace.title,
-        description: newPlace.description,
-        address: newPlace.address,
-      }),
-    ]);
-
-    // Collect only successful results — never overwrite existing fields with null
-    const updates = {};
-
-    if (colorResult.status === "fulfilled" && colorResult.value) {
-      const { colorPalette, colorVector, isColorful, colorAnalyzedAt } =
-        colorResult.value;
-      Object.assign(updates, {
-        colorPalette,
-        colorVector,
-        isColorful,
-        colorAnalyzedAt,
-      });
-      console.log(
-        `[colorwalk] Color OK for place ${newPlace._id}: ` +
-          `isColorful=${isColorful}, palette=${colorPalette.map((s) => s.hex).join(", ")}`,
-      );
-    } else {
-      console.log(
-        `[colorwalk] Color SKIP for place ${newPlace._id}: ` +
-          (colorResult.reason?.message ?? "no data returned"),
-      );
-    }
-
-    if (embeddingResult.status === "fulfilled" && embeddingResult.value) {
-      updates.textEmbedding = embeddingResult.value;
-      console.log(
-        `[colorwalk] Embedding OK for place ${newPlace._id}: dims=${embeddingResult.value.length}`,
-      );
-    } else {
-      console.log(
-        `[colorwalk] Embedding SKIP for place ${newPlace._id}: ` +
-          (embeddingResult.reason?.message ?? "no data returned"),
-      );
-    }
-
-    // Only write to DB if at least one pipeline succeeded
-    if (Object.keys(updates).length > 0) {
-      try {
-        await Place.findByIdAndUpdate(newPlace._id, updates);
-        console.log(
-          `[colorwalk] DB update complete for place ${newPlace._id}. ` +
-            `fields=${Object.keys(updates).join(", ")}`,
-        );
-      } catch (dbErr) {
-        console.error(
-          `[colorwalk] DB update failed for place ${newPlace._id}:`,
-          dbErr.message,
-        );
-      }
-    }
-  });
 };
 
 export const updatePlaceById = async (req, res, next) => {
@@ -188,7 +428,7 @@ export const updatePlaceById = async (req, res, next) => {
     throw new HttpError("Invalid inputs passed. Please check your data.", 422);
   }
   const placeId = req.params.placeId;
-  const { title, description } = req.body;
+  const { title, description, address } = req.body;
 
   let updatedPlace;
   try {
@@ -199,34 +439,100 @@ export const updatePlaceById = async (req, res, next) => {
     );
   }
 
+  if (!updatedPlace) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+
   if (updatedPlace.creatorId.toString() !== req.userData.userId) {
     return next(new HttpError("You are not allowed to edit this place.", 401));
   }
 
+  const addressChanged =
+    address !== undefined && address !== updatedPlace.address;
+  const textChanged =
+    title !== updatedPlace.title ||
+    description !== updatedPlace.description ||
+    addressChanged;
+  const previousImage = updatedPlace.image;
+
+  if (addressChanged) {
+    let location;
+    try {
+      location = await locateAddress(address);
+    } catch (error) {
+      return next(error);
+    }
+    updatedPlace.address = address;
+    updatedPlace.coordinates = location.coordinates;
+    updatedPlace.addressComponents = location.addressComponents;
+    updatedPlace.locationSource = "address";
+  }
+
   updatedPlace.title = title;
   updatedPlace.description = description;
+  if (req.body.tags !== undefined) {
+    try {
+      updatedPlace.tags = parseTags(req.body.tags);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  // A new image replaces the cover photo; the rest of the gallery is managed
+  // through /:placeId/photos
+  let cover;
+  if (req.file) {
+    ensurePhotos(updatedPlace);
+    syncCover(updatedPlace);
+    cover = updatedPlace.photos.id(updatedPlace.coverPhotoId);
+    cover.set(photoFromUpload(req.file));
+    syncCover(updatedPlace);
+  }
 
+  // Colorwalk: a new image invalidates the palette, new text the embedding.
+  // Re-run only the affected steps, enqueued atomically with the edit.
+  const steps = [
+    ...(req.file ? ["color"] : []),
+    ...(textChanged ? ["embedding"] : []),
+  ];
+
+  const session = await mongoose.startSession();
   try {
-    await updatedPlace.save();
+    session.startTransaction();
+    if (steps.length > 0) updatedPlace.analysisStatus = "pending";
+    await updatedPlace.save({ session });
+    if (steps.length > 0) {
+      await enqueuePlaceAnalysis(updatedPlace._id, {
+        steps,
+        photoIds: cover && [cover._id],
+        session,
+      });
+    }
+    await session.commitTransaction();
+    if (steps.length > 0) wakeJobWorker();
   } catch (err) {
+    await session.abortTransaction();
     return next(
       new HttpError("Could not update place. Please try again later.", 500),
     );
+  } finally {
+    session.endSession();
   }
 
+  // The replaced image is unreferenced once the edit has committed
+  if (req.file) await discardImage({ url: previousImage });
+
   res.status(200).json({ place: updatedPlace.toObject({ getters: true }) });
 };
 
 export const deletePlaceById = async (req, res, next) => {
   const placeId = req.params.placeId;
   let place;
-  const session = await mongoose.startSession();
-  session.startTransaction();
 
   try {
-    place = await Place.findById(placeId)
-      .populate("creatorId")
-      .session(session);
+    place = await Place.findById(placeId).populate("creatorId");
   } catch (err) {
     return next(
       new HttpError("Could not delete the place. Please try again later.", 500),
@@ -245,7 +551,9 @@ export const deletePlaceById = async (req, res, next) => {
     );
   }
 
+  const session = await mongoose.startSession();
   try {
+    session.startTransaction();
     await place.deleteOne({ session });
     place.creatorId.places.pull(place);
     await place.creatorId.save({ session });
@@ -255,186 +563,676 @@ export const deletePlaceById = async (req, res, next) => {
     return next(
       new HttpError("Could not delete the place. Please try again later.", 500),
     );
+  } finally {
+    session.endSession();
   }
 
+  await updateVectorIndex("remove", placeId);
+  // Only once the deletion has committed: an aborted transaction must leave
+  // the place with its images
+  const urls = new Set([place.image, ...place.photos.map(({ url }) => url)]);
+  for (const url of urls) await discardImage({ url });
+
   res.status(200).json({ message: "Place deleted" });
 };
 
-// ── Colorwalk: Phase 3 ────────────────────────────────────────────
-
 /**
- * POST /api/places/search/color
- *
- * Accepts an uploaded image and returns places ranked by hybrid similarity:
- *   score = colorWeight * cosine(colorVector) + textWeight * cosine(textEmbedding)
+ * POST /api/places/photo-metadata
  *
- * Weights are determined adaptively by the query image's isColorful flag:
- *   - colorful image  → 0.6 color + 0.4 text
- *   - muted image     → 0.2 color + 0.8 text
- *   - no color data   → 0.0 color + 1.0 text
+ * Reads the capture metadata of a photo before the place is created, so the
+ * form can offer the photo's location. Nothing is stored.
+ * Responds with { metadata: { coordinates, capturedAt, cameraOrientation },
+ * location: { address, addressComponents, precision } | null }.
+ */
+export const getPhotoMetadata = async (req, res, next) => {
+  if (!req.file) {
+    return next(new HttpError("Please provide an image.", 422));
+  }
+
+  const { coordinates, capturedAt, orientation } = readExif(req.file.buffer);
+  const location = coordinates ? await describeLocation(coordinates) : null;
+
+  res.json({
+    metadata: { coordinates, capturedAt, cameraOrientation: orientation },
+    location: location && {
+      address: location.formattedAddress,
+      addressComponents: location.addressComponents,
+      precision: location.precision,
+    },
+  });
+};
+
+/**
+ * POST /api/places/:placeId/photos
  *
- * Query parameters:
- *   - userId (optional): restrict results to a specific user's places
- *   - threshold (optional): minimum score to include in results (default 0.4)
- *   - limit (optional): max results to return (default 10)
+ * Adds an uploaded image to the end of a place's gallery and queues color
+ * analysis for just that photo. Responds 201 with the place and the new photo.
  */
-export const searchByColor = async (req, res, next) => {
-  const { userId, threshold = 0.4, limit = 10 } = req.query;
+export const addPlacePhoto = async (req, res, next) => {
+  const placeId = req.params.placeId;
 
-  // Step 1: analyze the query image — same pipeline as createPlace
-  // We don't persist this data; it's used only for the query vector
-  const [colorResult, embeddingResult] = await Promise.allSettled([
-    analyzeImageColor(req.file.path),
-    // For query-time we have no description text, so pass only what we have
-    // from the optional body field `queryText`
-    req.body.queryText
-      ? generateTextEmbedding({
-          title: req.body.queryText,
-          description: "",
-          address: "",
-        })
-      : Promise.resolve(null),
-  ]);
+  if (!req.file) {
+    return next(new HttpError("Please provide an image to add.", 422));
+  }
 
-  const queryColorData =
-    colorResult.status === "fulfilled" ? colorResult.value : null;
-  const queryTextEmbedding =
-    embeddingResult.status === "fulfilled" ? embeddingResult.value : null;
+  let place;
+  try {
+    place = await Place.findById(placeId);
+  } catch (err) {
+    return next(
+      new HttpError("Could not find place. Please try again later.", 500),
+    );
+  }
+  if (!place) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+  if (place.creatorId.toString() !== req.userData.userId) {
+    return next(new HttpError("You are not allowed to edit this place.", 401));
+  }
 
-  // If both pipelines failed we have nothing to search with
-  if (!queryColorData && !queryTextEmbedding) {
+  ensurePhotos(place);
+  if (place.photos.length >= MAX_PHOTOS) {
     return next(
-      new HttpError(
-        "Could not extract any features from the uploaded image. Try a clearer photo.",
-        422,
-      ),
+      new HttpError(`A place can have at most ${MAX_PHOTOS} photos.`, 422),
     );
   }
 
-  // Step 2: determine adaptive weights based on query image quality
-  const { colorWeight, textWeight } = adaptiveWeights(
-    queryColorData?.isColorful ?? null,
-  );
+  place.photos.push(photoFromUpload(req.file));
+  const photo = place.photos[place.photos.length - 1];
+  syncCover(place);
 
-  // Step 3: fetch candidate places from MongoDB
-  // Only retrieve places that have at least one vector to compare against.
-  // Exclude the raw textEmbedding array from the response payload (large field).
+  const session = await mongoose.startSession();
   try {
-    const filter = {
-      $or: [
-        { colorVector: { $exists: true, $not: { $size: 0 } } },
-        { textEmbedding: { $exists: true, $not: { $size: 0 } } },
-      ],
-    };
-    if (userId) filter.creatorId = userId;
+    session.startTransaction();
+    place.analysisStatus = "pending";
+    await place.save({ session });
+    await enqueuePlaceAnalysis(place._id, {
+      steps: ["color"],
+      photoIds: [photo._id],
+      session,
+    });
+    await session.commitTransaction();
+    wakeJobWorker();
+  } catch (err) {
+    await session.abortTransaction();
+    return next(
+      new HttpError("Could not add the photo. Please try again later.", 500),
+    );
+  } finally {
+    session.endSession();
+  }
+
+  res.status(201).json({
+    place: place.toObject({ getters: true }),
+    photo: photo.toObject({ getters: true }),
+  });
+};
 
-    const candidates = await Place.find(filter).select(
-      "title description address image coordinates colorPalette colorVector textEmbedding isColorful creatorId",
+/**
+ * PATCH /api/places/:placeId/photos
+ *
+ * Reorders the gallery and/or picks the cover photo.
+ * Body: { order?: [photoId, ...], coverPhotoId?: photoId } — `order` must
+ * list every photo of the place exactly once.
+ */
+export const updatePlacePhotos = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new HttpError("Invalid inputs passed. Please check your data.", 422),
     );
+  }
+  const placeId = req.params.placeId;
+  const { order, coverPhotoId } = req.body;
 
-    // Step 4: compute per-candidate scores using pairAdaptiveWeights.
-    //
-    // Unlike the old approach (one global colorWeight/textWeight for the entire
-    // result set), we now compute weights independently for each query×candidate
-    // pair. This accounts for the fact that a candidate's own isColorful flag
-    // tells us how much to trust ITS color vector specifically.
-    //
-    // Example: a vivid sunset query (queryIsColorful=true) searching a
-    // black-and-white photo (placeIsColorful=false) should down-weight color
-    // for THAT result, not drag down the weights for colorful results too.
-    const rawScored = candidates.map((place) => {
-      const hasQueryText = !!queryTextEmbedding;
-      const hasPlaceText = place.textEmbedding?.length > 0;
+  let place;
+  try {
+    place = await Place.findById(placeId);
+  } catch (err) {
+    return next(
+      new HttpError("Could not find place. Please try again later.", 500),
+    );
+  }
+  if (!place) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+  if (place.creatorId.toString() !== req.userData.userId) {
+    return next(new HttpError("You are not allowed to edit this place.", 401));
+  }
 
-      // Derive per-pair weights
-      const { colorWeight: cw, textWeight: tw } = pairAdaptiveWeights(
-        queryColorData?.isColorful ?? null,
-        place.isColorful ?? null,
-        hasQueryText,
-        hasPlaceText,
-      );
+  ensurePhotos(place);
+
+  if (order) {
+    const ids = order.map(String);
+    const isPermutation =
+      ids.length === place.photos.length &&
+      new Set(ids).size === ids.length &&
+      ids.every((id) => place.photos.id(id));
+    if (!isPermutation) {
+      return next(
+        new HttpError("The order must list every photo exactly once.", 422),
+      );
+    }
+    place.photos = ids.map((id) => place.photos.id(id).toObject());
+  }
+
+  if (coverPhotoId !== undefined) {
+    if (!place.photos.id(coverPhotoId)) {
+      return next(
+        new HttpError("Could not find a photo with the provided id.", 404),
+      );
+    }
+    place.coverPhotoId = coverPhotoId;
+  }
+
+  syncCover(place);
+
+  try {
+    await place.save();
+  } catch (err) {
+    return next(
+      new HttpError(
+        "Could not update the photos. Please try again later.",
+        500,
+      ),
+    );
+  }
+
+  // The cover's palette is the place-level palette
+  await updateVectorIndex("refresh", place._id);
+
+  res.status(200).json({ place: place.toObject({ getters: true }) });
+};
+
+/**
+ * DELETE /api/places/:placeId/photos/:photoId
+ *
+ * Removes one photo from the gallery and deletes its stored image. A place
+ * keeps at least one photo; deleting the cover promotes the next photo.
+ */
+export const deletePlacePhoto = async (req, res, next) => {
+  const { placeId, photoId } = req.params;
+
+  let place;
+  try {
+    place = await Place.findById(placeId);
+  } catch (err) {
+    return next(
+      new HttpError("Could not find place. Please try again later.", 500),
+    );
+  }
+  if (!place) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+  if (place.creatorId.toString() !== req.userData.userId) {
+    return next(new HttpError("You are not allowed to edit this place.", 401));
+  }
+
+  ensurePhotos(place);
+
+  const photo = place.photos.id(photoId);
+  if (!photo) {
+    return next(
+      new HttpError("Could not find a photo with the provided id.", 404),
+    );
+  }
+  if (place.photos.length === 1) {
+    return next(
+      new HttpError(
+        "A place needs at least one photo. Upload another first.",
+        422,
+      ),
+    );
+  }
+
+  const { url } = photo;
+  place.photos.pull(photo._id);
+  if (String(place.coverPhotoId) === String(photo._id)) {
+    place.coverPhotoId = null;
+  }
+  syncCover(place);
+
+  try {
+    await place.save();
+  } catch (err) {
+    return next(
+      new HttpError("Could not delete the photo. Please try again later.", 500),
+    );
+  }
+
+  await updateVectorIndex("refresh", place._id);
+  await discardImage({ url });
+
+  res.status(200).json({ place: place.toObject({ getters: true }) });
+};
+
+/**
+ * POST /api/places/:placeId/reanalyze
+ *
+ * Re-queues the Colorwalk pipeline for one of the caller's places, e.g. after
+ * a failed analysis. Body (optional): { steps: ["color", "embedding"] }.
+ * Responds 202 immediately; poll the place's analysisStatus for progress.
+ */
+export const reanalyzePlace = async (req, res, next) => {
+  const placeId = req.params.placeId;
+  const steps = req.body?.steps ?? ANALYSIS_STEPS;
+
+  if (
+    !Array.isArray(steps) ||
+    steps.length === 0 ||
+    steps.some((step) => !ANALYSIS_STEPS.includes(step))
+  ) {
+    return next(
+      new HttpError(
+        `Invalid steps. Allowed values: ${ANALYSIS_STEPS.join(", ")}.`,
+        422,
+      ),
+    );
+  }
+
+  let place;
+  try {
+    place = await Place.findById(placeId).select("creatorId");
+  } catch (err) {
+    return next(
+      new HttpError("Could not find place. Please try again later.", 500),
+    );
+  }
+  if (!place) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+  if (place.creatorId.toString() !== req.userData.userId) {
+    return next(
+      new HttpError("You are not allowed to reanalyze this place.", 401),
+    );
+  }
+
+  let job;
+  try {
+    job = await enqueuePlaceAnalysis(place._id, { steps });
+  } catch (err) {
+    return next(
+      new HttpError("Could not queue analysis. Please try again later.", 500),
+    );
+  }
+
+  res.status(202).json({
+    message: "Analysis queued",
+    place: { id: place.id, analysisStatus: "pending" },
+    job: { id: job.id, steps: job.payload.steps },
+  });
+};
+
+// ── Colorwalk: Phase 3 ────────────────────────────────────────────
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const MAX_SIMILAR_RESULTS = 50;
+
+/**
+ * `limit` and `threshold` of searchByColor / getSimilarPlaces. limit is
+ * clamped to 1–MAX_SIMILAR_RESULTS (default 10), the same way filterByColor
+ * clamps its page size.
+ *
+ * @throws {HttpError} 422 when threshold isn't a number in [0, 1]
+ */
+const parseSimilarityLimits = (query) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || 10, 1),
+    MAX_SIMILAR_RESULTS,
+  );
+  const threshold =
+    query.threshold === undefined ? 0.4 : Number(query.threshold);
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new HttpError("threshold must be a number between 0 and 1.", 422);
+  }
+  return { limit, threshold };
+};
+
+/**
+ * Optional `userId` filter of the search endpoints.
+ *
+ * @throws {HttpError} 422 when it isn't a valid id, instead of a CastError
+ *   surfacing as a 500
+ */
+const parseUserIdQuery = ({ userId }) => {
+  if (userId === undefined || userId === "") return undefined;
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new HttpError("userId must be a valid user id.", 422);
+  }
+  return String(userId);
+};
+
+/**
+ * Rank places by hybrid similarity to a query palette and/or text embedding.
+ * Shared by searchByColor (an uploaded image) and getSimilarPlaces (a stored
+ * place).
+ *
+ * @param {Object} query
+ * @param {Object|null} query.colorData - { colorPalette, colorVector,
+ *   isColorful } of the query image, null when there is none
+ * @param {number[]|null} query.textEmbedding
+ * @param {Array[]} [query.avoidPalettes] - palettes of negative feedback
+ *   examples (util/relevance-feedback.js)
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.threshold - minimum calibrated score
+ * @param {Object} options.filter - vector store filter
+ * @param {{ metric: string, falloff: string }} options.colorMetric - how
+ *   palettes are compared (colorPaletteSimilarity)
+ * @returns {Promise<{ results: Object[], colorWeight: number,
+ *   textWeight: number }>} results are hydrated places, best first
+ */
+const rankSimilarPlaces = async (
+  {
+    colorData: queryColorData,
+    textEmbedding: queryTextEmbedding,
+    avoidPalettes = [],
+  },
+  { limit, threshold, filter, colorMetric },
+) => {
+  // Step 2: determine adaptive weights based on query image quality
+  const { colorWeight, textWeight } = adaptiveWeights(
+    queryColorData?.isColorful ?? null,
+  );
+
+  // Step 3: score candidates from the configured vector store
+  // (util/vector-store.js — in-memory index by default, Atlas optionally).
+  //
+  // Per-candidate weights use pairAdaptiveWeights. Unlike the old approach
+  // (one global colorWeight/textWeight for the entire result set), weights are
+  // computed independently for each query×candidate pair. This accounts for
+  // the fact that a candidate's own isColorful flag tells us how much to trust
+  // ITS color vector specifically.
+  //
+  // Example: a vivid sunset query (queryIsColorful=true) searching a
+  // black-and-white photo (placeIsColorful=false) should down-weight color
+  // for THAT result, not drag down the weights for colorful results too.
+  //
+  // Stores only hand out vectors produced by the current
+  // COLOR_ALGORITHM_VERSION / EMBEDDING_MODEL, so stale signals are already
+  // treated as missing.
+  //
+  // A place with a gallery scores as its best-matching photo: every photo
+  // with a current palette is a separate pair, and the winner is reported as
+  // matchedPhoto. Places with no analyzed photo are scored once, on text.
+  const hasQueryText = !!queryTextEmbedding;
+
+  const scorePair = (entry) => {
+    const hasPlaceText = !!entry.textEmbedding;
+    const placeTextSim =
+      hasQueryText && hasPlaceText
+        ? cosineSimilarity(queryTextEmbedding, entry.textEmbedding)
+        : 0;
+
+    let best = null;
+    for (const photo of entry.photos.length > 0 ? entry.photos : [null]) {
+      // Derive per-pair weights
+      const { colorWeight: cw, textWeight: tw } = pairAdaptiveWeights(
+        queryColorData?.isColorful ?? null,
+        photo?.isColorful ?? null,
+        hasQueryText,
+        hasPlaceText,
+      );
 
       let colorSim = 0;
-      let textSim = 0;
-
-      if (
-        cw > 0 &&
-        queryColorData?.colorPalette &&
-        place.colorPalette?.length > 0
-      ) {
-        colorSim = colorPaletteSimilarity(
-          queryColorData.colorPalette,
-          place.colorPalette,
+      const textSim = tw > 0 ? placeTextSim : 0;
+
+      if (cw > 0 && queryColorData?.colorPalette && photo) {
+        colorSim = feedbackColorSim(
+          colorPaletteSimilarity(
+            queryColorData.colorPalette,
+            photo.colorPalette,
+            colorMetric,
+          ),
+          avoidPalettes.map((palette) =>
+            colorPaletteSimilarity(palette, photo.colorPalette, colorMetric),
+          ),
         );
       }
 
-      if (tw > 0 && hasQueryText && hasPlaceText) {
-        textSim = cosineSimilarity(queryTextEmbedding, place.textEmbedding);
+      // Ranked by the calibrated score (util/score-calibration.js): each
+      // channel's raw similarity mapped to a match probability, then the
+      // same per-pair weights
+      const colorProb = calibrateColor(colorSim, colorMetric);
+      const textProb = calibrateText(textSim);
+      const score = cw * colorProb + tw * textProb;
+      if (!best || score > best.score) {
+        best = {
+          score,
+          rawScore: cw * colorSim + tw * textSim,
+          colorSim,
+          textSim,
+          colorProb,
+          textProb,
+          colorWeight: cw,
+          textWeight: tw,
+          matchedPhoto: photo?.id ? { id: photo.id, url: photo.url } : null,
+        };
       }
+    }
+    return best;
+  };
 
-      const rawScore = cw * colorSim + tw * textSim;
-      return {
-        place,
-        rawScore,
-        colorSim,
-        textSim,
-        colorWeight: cw,
-        textWeight: tw,
-      };
-    });
+  // Step 4: 用校准后的单维度概率预筛选，剔除真正不相似的结果
+  // 门槛在 data/score-calibration.json（或 SCORE_*_THRESHOLD 环境变量）里配置
+  const preFilteredPair = (entry) => {
+    const scored = scorePair(entry);
+    // 至少一个维度通过门槛，说明在某个方面确实相似
+    const colorPass = scored.colorProb >= MATCH_THRESHOLDS.color;
+    const textPass = scored.textProb >= MATCH_THRESHOLDS.text;
+    return colorPass || textPass ? scored : null;
+  };
+
+  const searchOptions = {
+    queryVectors: {
+      textEmbedding: queryTextEmbedding,
+      colorVector: queryColorData?.colorVector,
+    },
+    k: limit,
+    filter,
+  };
 
-    // Step 5: min-max normalization
-    // Step 5: 用原始分预筛选，剔除真正不相似的结果
-    // 只对通过预筛选的候选项做正规化，避免强制拉伸不相似的结果
-    const RAW_COLOR_THRESHOLD = 0.55; // 纯色相似性门槛
-    const RAW_TEXT_THRESHOLD = 0.7; // 文本嵌入相似性门槛（语义上旅行地本身就接近）
-
-    const preFiltered = rawScored.filter(({ colorSim, textSim, rawScore }) => {
-      // 至少一个维度通过门槛，说明在某个方面确实相似
-      const colorPass = colorSim >= RAW_COLOR_THRESHOLD;
-      const textPass = textSim >= RAW_TEXT_THRESHOLD;
-      return colorPass || textPass;
+  let ranked = await vectorStore.search({
+    ...searchOptions,
+    scoreFn: preFilteredPair,
+  });
+
+  // 如果预筛选后结果太少（<2），退回到不做预筛选的 top N
+  if (ranked.matched < 2) {
+    ranked = await vectorStore.search({
+      ...searchOptions,
+      scoreFn: scorePair,
     });
+  }
+
+  // Step 5: threshold on the calibrated score. It doesn't depend on the
+  // other candidates, so the same place scores the same for equal signals
+  // and a set of weak matches stays weak instead of being stretched to 100%
+  const scored = ranked.results.filter(({ score }) => score >= threshold);
+
+  // Step 6: hydrate only the final top-k documents from MongoDB —
+  // textEmbedding and colorVector are never loaded
+  const places = await Place.find({
+    _id: { $in: scored.map((r) => r.id) },
+  }).select("-textEmbedding -colorVector -photos.colorVector");
+  const placesById = new Map(places.map((p) => [p.id, p]));
+
+  const results = scored
+    .filter(({ id }) => placesById.has(id))
+    .map((r) => ({
+      ...placesById.get(r.id).toObject({ getters: true }),
+      similarityScore: round3(r.score),
+      rawScore: round3(r.rawScore),
+      matchedPhoto: r.matchedPhoto,
+      scoreBreakdown: {
+        color: round3(r.colorSim),
+        text: round3(r.textSim),
+        calibrated: { color: round3(r.colorProb), text: round3(r.textProb) },
+        weights: { colorWeight: r.colorWeight, textWeight: r.textWeight },
+      },
+    }));
+
+  return { results, colorWeight, textWeight };
+};
+
+/**
+ * POST /api/places/search/color
+ *
+ * Accepts a query image and returns places ranked by hybrid similarity:
+ *   score = colorWeight * P(color match) + textWeight * P(text match)
+ * where each P is the channel's raw similarity (palette ΔE match, embedding
+ * cosine) mapped through util/score-calibration.js. similarityScore is that
+ * calibrated score, rawScore the same blend of the raw similarities.
+ *
+ * Weights are determined adaptively by the query image's isColorful flag:
+ *   - colorful image  → 0.6 color + 0.4 text
+ *   - muted image     → 0.2 color + 0.8 text
+ *   - no color data   → 0.0 color + 1.0 text
+ *
+ * Body (multipart or JSON), at least one of:
+ *   - image: up to MAX_QUERY_IMAGES uploads, merged into one palette
+ *   - imageUrl: a public JPG/PNG URL, fetched into memory
+ *   - palette: JSON hex colors or { hex, population } objects
+ *   - queryText: a description, scored against place text embeddings
+ *   - positiveIds / negativeIds: places marked as good / bad results of an
+ *     earlier search; the query moves toward and away from them
+ *     (util/relevance-feedback.js) and they are left out of the results
+ * See util/color-query.js for how several color inputs combine. Positive
+ * examples alone are a valid query too.
+ *
+ * Query parameters:
+ *   - userId (optional): restrict results to a specific user's places
+ *   - threshold (optional): minimum calibrated score to include in results
+ *     (default 0.4)
+ *   - limit (optional): max results to return (default 10, max 50)
+ *   - lat, lng, radius or bbox (optional): only match places in that region,
+ *     same format as /near and /within
+ *   - metric (optional): cie76 | cie94 | ciede2000, the color-difference
+ *     formula palettes are compared with (default cie76)
+ *   - falloff (optional): linear | gaussian | exponential, how ΔE becomes a
+ *     similarity (default linear)
+ */
+export const searchByColor = async (req, res, next) => {
+  let userId;
+  let geo;
+  let colorMetric;
+  let limit;
+  let threshold;
+  try {
+    userId = parseUserIdQuery(req.query);
+    ({ limit, threshold } = parseSimilarityLimits(req.query));
+    geo = parseGeoQuery(req.query);
+    colorMetric = parseColorMetricQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  // JSON bodies have no multipart files; bodiless requests no body at all
+  const { imageUrl, palette, queryText } = req.body ?? {};
+  const files = req.files ?? [];
 
-    // 如果预筛选后结果太少（<2），直接返回 top N 不做正规化
-    const toNormalize =
-      preFiltered.length >= 2
-        ? preFiltered
-        : rawScored.slice(0, parseInt(limit));
-
-    // Min-max 正规化只在通过预筛选的结果内进行
-    const normScores = toNormalize.map((r) => r.rawScore);
-    const minScore = Math.min(...normScores);
-    const maxScore = Math.max(...normScores);
-    const scoreRange = maxScore - minScore || 1;
-
-    const parsedThreshold = parseFloat(threshold);
-
-    const scored = toNormalize
-      .map(({ place, rawScore, colorSim, textSim }) => ({
-        place,
-        score: (rawScore - minScore) / scoreRange,
-        colorSim,
-        textSim,
-      }))
-      .filter(({ score }) => score >= parsedThreshold)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, parseInt(limit));
-    // Step 6: format response — strip textEmbedding and colorVector from output
-    const results = scored.map(({ place, score, colorSim, textSim }) => {
-      const p = place.toObject({ getters: true });
-      delete p.textEmbedding;
-      delete p.colorVector;
-      return {
-        ...p,
-        similarityScore: Math.round(score * 1000) / 1000,
-        scoreBreakdown: {
-          color: Math.round(colorSim * 1000) / 1000,
-          text: Math.round(textSim * 1000) / 1000,
-          weights: { colorWeight, textWeight },
+  let feedback;
+  try {
+    feedback = parseFeedback(req.body);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (
+    files.length === 0 &&
+    !imageUrl &&
+    !palette &&
+    !queryText &&
+    feedback.positiveIds.length === 0
+  ) {
+    return next(
+      new HttpError(
+        "Provide an image, imageUrl, palette, queryText or positiveIds to search with.",
+        422,
+      ),
+    );
+  }
+
+  // Step 1: the query palette — same pipeline as createPlace, merged across
+  // images (util/color-query.js). Query images stay in memory; they're used
+  // only for the query vector
+  const [colorResult, embeddingResult] = await Promise.allSettled([
+    buildQueryColorData({ files, imageUrl, palette }),
+    // For query-time we have no description text, so pass only what we have
+    // from the optional body field `queryText`
+    queryText
+      ? generateTextEmbedding({
+          title: queryText,
+          description: "",
+          address: "",
+        })
+      : Promise.resolve(null),
+  ]);
+
+  // Malformed palettes and unusable URLs are the client's to fix
+  if (colorResult.status === "rejected") {
+    const error = colorResult.reason;
+    return next(
+      error instanceof HttpError
+        ? error
+        : new HttpError("Color search failed. Please try again.", 500),
+    );
+  }
+
+  let query = {
+    colorData: colorResult.value,
+    textEmbedding:
+      embeddingResult.status === "fulfilled" ? embeddingResult.value : null,
+    avoidPalettes: [],
+  };
+  let feedbackUsed = { positive: 0, negative: 0 };
+
+  // Relevance feedback: move the query toward / away from rated results
+  if (feedback.positiveIds.length > 0 || feedback.negativeIds.length > 0) {
+    try {
+      const { used, ...refined } = await refineQuery(query, feedback);
+      query = refined;
+      feedbackUsed = used;
+    } catch (err) {
+      return next(new HttpError("Color search failed. Please try again.", 500));
+    }
+  }
+  const queryColorData = query.colorData;
+
+  // If both pipelines failed we have nothing to search with
+  if (!queryColorData && !query.textEmbedding) {
+    return next(
+      new HttpError(
+        "Could not extract any features from the query image. Try a clearer photo.",
+        422,
+      ),
+    );
+  }
+
+  // Steps 2–6: see rankSimilarPlaces
+  try {
+    const { results, colorWeight, textWeight } = await rankSimilarPlaces(
+      query,
+      {
+        limit,
+        threshold,
+        colorMetric,
+        filter: {
+          creatorId: userId,
+          excludeIds: [...feedback.positiveIds, ...feedback.negativeIds],
+          geo,
         },
-      };
-    });
+      },
+    );
 
     res.json({
       results,
@@ -443,9 +1241,426 @@ export const searchByColor = async (req, res, next) => {
         queryIsColorful: queryColorData?.isColorful ?? null,
         weightsUsed: { colorWeight, textWeight },
         queryPalette: queryColorData?.colorPalette?.map((s) => s.hex) ?? [],
+        feedback: feedbackUsed,
+        colorMetric,
+        calibration: calibrationInfo(colorMetric),
+        vectorStore: vectorStore.name,
       },
     });
   } catch (err) {
     return next(new HttpError("Color search failed. Please try again.", 500));
   }
 };
+
+/**
+ * GET /api/places/:placeId/similar
+ *
+ * "More like this": searchByColor with a stored place as the query. Its
+ * analyzed palette, isColorful flag and text embedding stand in for an
+ * uploaded image, so nothing is downloaded or re-extracted. The seed place
+ * itself is never among the results.
+ *
+ * Query parameters:
+ *   - photoId (optional): seed with this gallery photo instead of the cover
+ *   - userId, threshold, limit, lat/lng/radius or bbox, metric, falloff
+ *     (optional): as for searchByColor
+ */
+export const getSimilarPlaces = async (req, res, next) => {
+  const { placeId } = req.params;
+  const { photoId } = req.query;
+
+  let userId;
+  let geo;
+  let colorMetric;
+  let limit;
+  let threshold;
+  try {
+    userId = parseUserIdQuery(req.query);
+    ({ limit, threshold } = parseSimilarityLimits(req.query));
+    geo = parseGeoQuery(req.query);
+    colorMetric = parseColorMetricQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  let seed;
+  try {
+    seed = await Place.findById(placeId).select(
+      `${INDEX_FIELDS} title image coverPhotoId colorVector photos.colorVector`,
+    );
+  } catch (err) {
+    return next(
+      new HttpError("Could not find place. Please try again later.", 500),
+    );
+  }
+  if (!seed) {
+    return next(
+      new HttpError("Could not find place with the provided id.", 404),
+    );
+  }
+
+  // The vector index entry keeps only signals from the current algorithm
+  // versions, exactly what the candidates are compared on
+  const entry = toEntry(seed);
+  const seedPhotoId = photoId ?? String(seed.coverPhotoId);
+  const seedPhoto =
+    entry?.photos.find((photo) => photo.id === seedPhotoId) ??
+    (photoId ? null : entry?.photos[0]);
+  if (photoId && !seedPhoto) {
+    return next(
+      new HttpError("This place has no analyzed photo with that id.", 404),
+    );
+  }
+  if (!seedPhoto && !entry?.textEmbedding) {
+    return next(
+      new HttpError(
+        "This place hasn't been analyzed yet. Please try again shortly.",
+        422,
+      ),
+    );
+  }
+
+  const storedPhoto = seedPhoto?.id ? seed.photos.id(seedPhoto.id) : seed;
+  const colorData = seedPhoto
+    ? {
+        colorPalette: seedPhoto.colorPalette,
+        colorVector: storedPhoto.colorVector,
+        isColorful: seedPhoto.isColorful,
+      }
+    : null;
+
+  try {
+    const { results, colorWeight, textWeight } = await rankSimilarPlaces(
+      { colorData, textEmbedding: entry.textEmbedding },
+      {
+        limit,
+        threshold,
+        colorMetric,
+        filter: { creatorId: userId, excludeIds: [placeId], geo },
+      },
+    );
+
+    res.json({
+      results,
+      meta: {
+        total: results.length,
+        seed: {
+          placeId,
+          photoId: seedPhoto?.id ?? null,
+          title: seed.title,
+          url: seedPhoto?.url ?? seed.image,
+        },
+        queryIsColorful: colorData?.isColorful ?? null,
+        weightsUsed: { colorWeight, textWeight },
+        queryPalette: colorData?.colorPalette.map((s) => s.hex) ?? [],
+        colorMetric,
+        calibration: calibrationInfo(colorMetric),
+        vectorStore: vectorStore.name,
+      },
+    });
+  } catch (err) {
+    return next(
+      new HttpError("Similar-place search failed. Please try again.", 500),
+    );
+  }
+};
+
+// How deep each ranking is read at least (deeper for later pages) before
+// semantic search fuses it with keyword matches; fusion only reorders what
+// both lists retrieved
+const FUSION_DEPTH = 50;
+
+/**
+ * GET /api/places/search/semantic?q=
+ *
+ * Natural-language search: embeds `q` with the configured embedding provider
+ * and ranks places by cosine similarity to their stored textEmbedding, so
+ * "misty morning harbor" finds a foggy fishing port that shares no words
+ * with it.
+ *
+ * Query parameters:
+ *   - q (required): the description to search for
+ *   - blend (optional): "keyword" fuses the semantic ranking with keyword
+ *     ($text) matches by reciprocal rank fusion (util/rank-fusion.js), so
+ *     exact names and rare words still surface
+ *   - minScore (optional): cosine similarity floor in [-1, 1]
+ *   - limit (optional): default 20, max 100
+ *   - page (optional): 1-based page of the (fused) ranking; meta.hasMore
+ *     tells whether another page follows
+ *   - userId, lat/lng/radius or bbox (optional): same filters as
+ *     searchByColor
+ */
+export const searchSemantic = async (req, res, next) => {
+  const { blend } = req.query;
+
+  let q;
+  let userId;
+  let geo;
+  let page;
+  let limit;
+  let skip;
+  try {
+    q = parseSearchQuery(req.query);
+    userId = parseUserIdQuery(req.query);
+    geo = parseGeoQuery(req.query);
+    ({ page, limit, skip } = parsePagination(req.query));
+  } catch (error) {
+    return next(error);
+  }
+  if (blend !== undefined && blend !== "keyword") {
+    return next(new HttpError('blend must be "keyword" when given.', 422));
+  }
+  const minScore =
+    req.query.minScore === undefined ? -1 : Number(req.query.minScore);
+  if (!(minScore >= -1 && minScore <= 1)) {
+    return next(
+      new HttpError("minScore must be a number between -1 and 1.", 422),
+    );
+  }
+
+  // Embedded the same way searchByColor embeds queryText, so both searches
+  // rank places identically
+  const queryEmbedding = await generateTextEmbedding({
+    title: q,
+    description: "",
+    address: "",
+  });
+  if (!queryEmbedding) {
+    return next(
+      new HttpError(
+        "Semantic search is unavailable right now. Please try again later.",
+        503,
+      ),
+    );
+  }
+
+  // Rankings are read down to the requested page plus one hit, which tells
+  // whether another page follows
+  const end = skip + limit;
+  const depth = blend ? Math.max(end + 1, FUSION_DEPTH) : end + 1;
+
+  try {
+    const ranked = await vectorStore.search({
+      queryVectors: { textEmbedding: queryEmbedding },
+      scoreFn: (entry) => {
+        if (!entry.textEmbedding) return null;
+        const score = cosineSimilarity(queryEmbedding, entry.textEmbedding);
+        return score >= minScore ? { score } : null;
+      },
+      k: depth,
+      filter: { creatorId: userId, geo },
+    });
+    const similarityById = new Map(
+      ranked.results.map(({ id, score }) => [id, score]),
+    );
+
+    let ranking = ranked.results.map(({ id }) => ({ id }));
+    if (blend) {
+      const keywordMatches = await Place.find(
+        {
+          $text: { $search: q },
+          ...(userId && { creatorId: userId }),
+        },
+        { score: { $meta: "textScore" }, coordinates: 1 },
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(depth);
+
+      ranking = reciprocalRankFusion({
+        semantic: ranked.results.map(({ id }) => id),
+        keyword: keywordMatches
+          .filter((place) => matchesGeo(place.coordinates, geo))
+          .map((place) => place.id),
+      });
+    }
+    const hits = ranking.slice(skip, end);
+
+    const places = await Place.find(
+      { _id: { $in: hits.map(({ id }) => id) } },
+      HEAVY_FIELDS,
+    );
+    const placesById = new Map(places.map((p) => [p.id, p]));
+    const terms = blend ? searchTerms(q) : [];
+
+    const results = hits
+      .filter(({ id }) => placesById.has(id))
+      .map(({ id, score, ranks }) => {
+        const place = placesById.get(id);
+        const similarity = similarityById.get(id);
+        return {
+          ...place.toObject({ getters: true }),
+          // null for keyword matches that weren't among the semantic hits
+          similarityScore:
+            similarity === undefined
+              ? null
+              : Math.round(similarity * 1000) / 1000,
+          ...(blend && {
+            fusedScore: Math.round(score * 100000) / 100000,
+            ranks,
+            highlights: highlightPlace(place, terms),
+          }),
+        };
+      });
+
+    res.json({
+      results,
+      meta: {
+        total: results.length,
+        page,
+        limit,
+        hasMore: ranking.length > end,
+        query: q,
+        blend: blend ?? null,
+        vectorStore: vectorStore.name,
+      },
+    });
+  } catch (err) {
+    return next(
+      new HttpError("Semantic search failed. Please try again.", 500),
+    );
+  }
+};
+
+/**
+ * GET /api/places/filter/color
+ *
+ * Returns places whose stored colorPalette falls within a ΔE tolerance of one
+ * or more query colors. Unlike searchByColor this needs no uploaded image —
+ * the query is just hex values (or a named mood that expands to hex values).
+ *
+ * Each place gets a population-weighted matchScore in [0, 1]: the share of its
+ * palette that sits near a query color, discounted by how far away it is.
+ * Mood queries use the mood's Lab centers, radius and minScore, so the result
+ * total matches the count shown by GET /api/moods.
+ *
+ * Query parameters:
+ *   - colors (optional): comma-separated hex values, e.g. "#E05B4B,F2A65A"
+ *   - mood (optional): a mood key from the /api/moods catalog
+ *   - tolerance (optional): ΔE tolerance (default 25, or the mood's radius)
+ *   - minScore (optional): minimum matchScore (default 0, or the mood's own)
+ *   - userId (optional): restrict results to a specific user's places
+ *   - page / limit (optional): pagination (default 1 / 12, limit max 50)
+ */
+export const filterByColor = async (req, res, next) => {
+  const { colors, mood: moodKey } = req.query;
+
+  let userId;
+  try {
+    userId = parseUserIdQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  let mood = null;
+  if (moodKey) {
+    try {
+      mood = await Mood.findOne({
+        key: String(moodKey).toLowerCase(),
+        active: true,
+      });
+    } catch (err) {
+      return next(new HttpError("Color filter failed. Please try again.", 500));
+    }
+    if (!mood) {
+      return next(new HttpError(`Unknown color mood "${moodKey}".`, 404));
+    }
+  }
+
+  const queryColors = colors
+    ? String(colors)
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean)
+    : [];
+
+  if (queryColors.length === 0 && !mood) {
+    return next(
+      new HttpError(
+        "Provide at least one hex color or a mood to filter by.",
+        422,
+      ),
+    );
+  }
+
+  const colorLabs = queryColors.map(hexToLab);
+  if (colorLabs.some((lab) => lab === null)) {
+    return next(
+      new HttpError("Invalid hex color passed. Use values like #FF6B35.", 422),
+    );
+  }
+  const targetLabs = [...(mood?.centers ?? []), ...colorLabs];
+
+  // An explicit value wins even when it is 0; the mood only fills in blanks
+  const toleranceParam = parseFloat(req.query.tolerance);
+  const minScoreParam = parseFloat(req.query.minScore);
+  const tolerance = Math.min(
+    Math.max(
+      Number.isFinite(toleranceParam) ? toleranceParam : (mood?.radius ?? 25),
+      1,
+    ),
+    100,
+  );
+  const minScore = Math.min(
+    Math.max(
+      Number.isFinite(minScoreParam) ? minScoreParam : (mood?.minScore ?? 0),
+      0,
+    ),
+    1,
+  );
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  try {
+    const filter = { "colorPalette.0": { $exists: true } };
+    if (userId) filter.creatorId = userId;
+
+    // Score palettes only, streamed from the database; full documents are
+    // loaded for the requested page alone
+    const cursor = Place.find(filter).select("colorPalette").lean().cursor();
+    const matches = [];
+    for await (const { _id, colorPalette } of cursor) {
+      const { score, matchedColors } = paletteMatchScore(
+        colorPalette,
+        targetLabs,
+        tolerance,
+      );
+      if (isPaletteMatch(score, minScore)) {
+        matches.push({ id: String(_id), score, matchedColors });
+      }
+    }
+    matches.sort((a, b) => b.score - a.score);
+
+    const pageMatches = matches.slice((page - 1) * limit, page * limit);
+    const places = await Place.find({
+      _id: { $in: pageMatches.map(({ id }) => id) },
+    }).select(HEAVY_FIELDS);
+    const placesById = new Map(places.map((place) => [place.id, place]));
+
+    // A place deleted between the two queries is simply left out
+    const results = pageMatches
+      .filter(({ id }) => placesById.has(id))
+      .map(({ id, score, matchedColors }) => ({
+        ...placesById.get(id).toObject({ getters: true }),
+        matchScore: Math.round(score * 1000) / 1000,
+        matchedColors,
+      }));
+
+    res.json({
+      results,
+      meta: {
+        total: matches.length,
+        page,
+        limit,
+        totalPages: Math.ceil(matches.length / limit),
+        tolerance,
+        minScore,
+        mood: mood
+          ? { key: mood.key, label: mood.label, swatch: mood.swatch }
+          : null,
+        queryColors,
+      },
+    });
+  } catch (err) {
+    return next(new HttpError("Color filter failed. Please try again.", 500));
+  }
+};
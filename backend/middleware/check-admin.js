@@ -0,0 +1,21 @@
+import HttpError from "../models/http-error.js";
+import User from "../models/user.js";
+
+// Must run after checkAuth — relies on req.userData.userId.
+const checkAdmin = async (req, res, next) => {
+  let user;
+  try {
+    user = await User.findById(req.userData.userId).select("isAdmin");
+  } catch (err) {
+    return next(
+      new HttpError("Authorization failed. Please try again later.", 500),
+    );
+  }
+
+  if (!user || !user.isAdmin) {
+    return next(new HttpError("Admin access required.", 403));
+  }
+  next();
+};
+
+export default checkAdmin;
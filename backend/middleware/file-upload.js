@@ -1,23 +1,69 @@
 import multer from "multer";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-import cloudinary from "../util/cloudinary.js";
-
-// ── Cloudinary storage (used for user avatar uploads) ──────────────────────
-const cloudinaryStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: "wander_mark",
-    allowed_formats: ["jpg", "png", "jpeg"],
+
+import HttpError from "../models/http-error.js";
+import { readExif, stripLocation } from "../util/exif.js";
+import storage from "../util/storage.js";
+
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png"];
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// multer reports limits as MulterError, whose string `code` the error
+// handler would try to use as an HTTP status
+const toHttpError = (err) =>
+  err instanceof multer.MulterError ? new HttpError(err.message, 422) : err;
+
+const multerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new HttpError("Only JPG and PNG images are allowed.", 422));
   },
 });
 
-// ── Memory storage (used for place image uploads) ──────────────────────────
-// Keeps the file as a Buffer in req.file.buffer so we can:
-// 1. Respond to the client immediately
-// 2. Upload to Cloudinary asynchronously in the background
-const memoryStorage = multer.memoryStorage();
+// ── Memory upload (used for search queries) ────────────────────────────────
+// Keeps the file as a Buffer in req.file.buffer (req.files[i].buffer for
+// array); nothing is persisted.
+export const memoryUpload = {
+  single: (field) => (req, res, next) =>
+    multerUpload.single(field)(req, res, (err) =>
+      next(err ? toHttpError(err) : undefined),
+    ),
+  array: (field, maxCount) => (req, res, next) =>
+    multerUpload.array(field, maxCount)(req, res, (err) =>
+      next(err ? toHttpError(err) : undefined),
+    ),
+};
+
+// ── Stored upload (place images, user avatars) ─────────────────────────────
+// Buffers the file, then hands it to the configured storage driver
+// (util/storage.js). Sets req.file.path to the public URL and
+// req.file.storageKey to the driver's key.
+//
+// Stored images are public, so GPS tags are stripped first (util/exif.js);
+// what they said is kept on req.file.exif for the controller.
+const fileUpload = {
+  single: (field) => (req, res, next) =>
+    multerUpload.single(field)(req, res, async (err) => {
+      if (err) return next(toHttpError(err));
+      if (!req.file) return next();
+
+      req.file.exif = readExif(req.file.buffer);
+      req.file.buffer = stripLocation(req.file.buffer);
+      req.file.size = req.file.buffer.length;
 
-const fileUpload = multer({ storage: cloudinaryStorage });
-export const memoryUpload = multer({ storage: memoryStorage });
+      try {
+        const { key, url } = await storage.put(req.file.buffer, {
+          mimetype: req.file.mimetype,
+        });
+        req.file.path = url;
+        req.file.storageKey = key;
+      } catch (error) {
+        console.error(`[storage] ${storage.name} upload failed:`, error);
+        return next(new HttpError("Image upload failed", 500));
+      }
+      next();
+    }),
+};
 
 export default fileUpload;
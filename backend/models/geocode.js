@@ -0,0 +1,25 @@
+import { Schema, model } from "mongoose";
+
+// Cached geocoder answer for one normalized address (see util/location.js).
+// MongoDB drops entries once expiresAt has passed.
+const geocodeSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  provider: { type: String, required: true }, // geocoder that answered
+  coordinates: {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+  },
+  addressComponents: {
+    city: String,
+    region: String,
+    country: String,
+    countryCode: String,
+  },
+  formattedAddress: String,
+  precision: String, // "address" | "city" | "country"
+  expiresAt: { type: Date, required: true },
+});
+
+geocodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("Geocode", geocodeSchema);
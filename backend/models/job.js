@@ -0,0 +1,34 @@
+import { Schema, model } from "mongoose";
+
+// Background job consumed by util/job-queue.js.
+//
+// Lifecycle: queued → running → done
+//                        ↓ (failure)
+//             queued again with backoff, or dead after maxAttempts
+const jobSchema = new Schema(
+  {
+    type: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, default: {} },
+    // Jobs sharing a dedupeKey are collapsed while one of them is still queued
+    dedupeKey: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["queued", "running", "done", "dead"],
+      default: "queued",
+    },
+    // Higher runs first; background migrations use negative priorities
+    priority: { type: Number, default: 0 },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+jobSchema.index({ dedupeKey: 1, status: 1 });
+
+export default model("Job", jobSchema);
@@ -0,0 +1,31 @@
+import { Schema, model } from "mongoose";
+
+// A color mood is a region of CIELAB space: the union of ΔE spheres of
+// `radius` around each center. A place belongs to the mood when its
+// population-weighted palette match score reaches `minScore`.
+const moodSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  label: { type: String, required: true },
+  swatch: { type: String, required: true }, // hex shown in the UI, e.g. "#E05B4B"
+  centers: {
+    type: [[Number]], // [[L, a, b], ...]
+    required: true,
+    validate: {
+      validator: (centers) =>
+        centers.length > 0 && centers.every((c) => c.length === 3),
+      message: "A mood needs at least one [L, a, b] center.",
+    },
+  },
+  radius: { type: Number, required: true, min: 1, max: 100 },
+  minScore: { type: Number, default: 0.15, min: 0, max: 1 },
+  order: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+});
+
+export default model("Mood", moodSchema);
@@ -1,29 +1,81 @@
 import mongoose, { Schema, model } from "mongoose";
 
+import { toGeoPoint } from "../util/geo.js";
+
+const swatchSchema = {
+  hex: String, // e.g. "#FF6B35"
+  lab: [Number], // [L, a, b] in CIELAB space
+  population: Number, // 该色在图片中的占比权重
+};
+
+// 相册中的一张照片，每张照片都有自己的色彩分析结果
+// （字段含义同下方 place 级别的 Colorwalk 字段）
+const photoSchema = new Schema({
+  url: { type: String, required: true }, // storage driver 返回的 URL
+  colorPalette: [swatchSchema],
+  colorVector: [Number],
+  isColorful: { type: Boolean, default: null },
+  colorAnalyzedAt: { type: Date, default: null },
+  colorAlgorithmVersion: { type: Number, default: null },
+  // 从 EXIF 读取（util/exif.js），没有则为 null
+  capturedAt: { type: Date, default: null }, // DateTimeOriginal
+  cameraOrientation: { type: Number, default: null }, // EXIF Orientation 1–8
+});
+
 const placeSchema = new Schema({
   // ── 现有字段（完全不动）──────────────────────────────────────
   title: { type: String, required: true },
   description: { type: String, required: true },
   address: { type: String, required: true },
+  // 地址无法 geocode 时为 null（util/location.js 的 locateAddress），
+  // 这样的 place 不会出现在地理查询结果中
   coordinates: {
-    lat: { type: Number, required: true },
-    lng: { type: Number, required: true },
+    lat: { type: Number },
+    lng: { type: Number },
+  },
+  // coordinates 的 GeoJSON 副本（[lng, lat]），供 2dsphere 索引做地理查询。
+  // 保存时由 coordinates 自动生成；旧数据用 scripts/migrate-geo-locations.js 补上
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
   },
   image: { type: String, required: true }, // Cloudinary URL
   creatorId: { type: mongoose.Types.ObjectId, required: true, ref: "User" },
 
+  // ── 相册（util/place-photos.js）────────────────────────────────
+  // 有序的照片列表。image 和 place 级别的色彩字段始终是封面照片的副本，
+  // 只读 image 的旧代码不受影响。旧数据没有 photos，第一次修改相册时
+  // 由 image 生成。
+  photos: [photoSchema],
+  coverPhotoId: { type: mongoose.Types.ObjectId, default: null },
+
+  // ── 地理编码得到的结构化地址（util/location.js，旧数据没有）────
+  addressComponents: {
+    city: { type: String, default: null },
+    region: { type: String, default: null },
+    country: { type: String, default: null },
+    countryCode: { type: String, default: null }, // ISO 3166-1 alpha-2
+  },
+  // "address"：由输入的地址 geocode 得到；"photo"：来自照片的 EXIF GPS
+  locationSource: {
+    type: String,
+    enum: ["address", "photo"],
+    default: "address",
+  },
+
+  // 小写、去重后的标签（util/place-listing.js 的 parseTags），可按标签筛选
+  tags: { type: [String], index: true },
+
+  // ── 封面照片的 EXIF 信息（util/exif.js，同样是封面照片的副本）────
+  capturedAt: { type: Date, default: null },
+  cameraOrientation: { type: Number, default: null },
+
   // ── Colorwalk 新增字段（全部 optional，旧数据不受影响）────────
-  colorPalette: [
-    {
-      hex: String, // e.g. "#FF6B35"
-      lab: [Number], // [L, a, b] in CIELAB space
-      population: Number, // 该色在图片中的占比权重
-    },
-  ],
+  colorPalette: [swatchSchema],
   // 15维向量：5个主色 × [L, a, b]，归一化后用于余弦相似度计算
   colorVector: [Number],
 
-  // 描述文字的 embedding（1536维，text-embedding-3-small）
+  // 描述文字的 embedding（维度取决于 embedding provider，见 color-service.js）
   textEmbedding: [Number],
 
   // 图片色彩是否足够显著，用于 adaptive weighting
@@ -31,6 +83,41 @@ const placeSchema = new Schema({
 
   // pipeline 执行时间戳，便于 debug 和 monitoring
   colorAnalyzedAt: { type: Date, default: null },
+
+  // 生成 colorVector / textEmbedding 的算法版本，不同版本的向量不可比较
+  // （null = 版本字段出现之前的旧文档，见 color-service.js 的 LEGACY_* 常量）
+  colorAlgorithmVersion: { type: Number, default: null },
+  // 生成 textEmbedding 的 provider / 模型 / 维度，三者都一致的向量才可比较
+  embeddingProvider: { type: String, default: null },
+  embeddingModel: { type: String, default: null },
+  embeddingDimensions: { type: Number, default: null },
+
+  // 后台 job queue 的 pipeline 状态（util/place-analysis.js 负责更新）
+  analysisStatus: {
+    type: String,
+    enum: ["pending", "running", "done", "failed", null],
+    default: null,
+  },
+  analysisError: { type: String, default: null },
+});
+
+placeSchema.index({ location: "2dsphere" });
+// 关键词搜索（util/text-search.js）：标题权重最高，其次地址、描述
+placeSchema.index(
+  { title: "text", address: "text", description: "text" },
+  { name: "place_text", weights: { title: 5, address: 2, description: 1 } },
+);
+
+// 保持 location 与 coordinates 同步（部分字段 select 的文档里可能没有 coordinates）
+placeSchema.pre("validate", function () {
+  if (this.coordinates?.lat == null || this.coordinates?.lng == null) {
+    // 改成了无法定位的地址：旧的 GeoJSON 点也要去掉
+    if (this.isModified("coordinates")) this.location = undefined;
+    return;
+  }
+  if (this.isModified("coordinates") || !this.location?.type) {
+    this.location = toGeoPoint(this.coordinates);
+  }
 });
 
 export default model("Place", placeSchema);
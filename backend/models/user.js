@@ -7,6 +7,7 @@ const userSchema = new Schema({
   password: { type: String, required: true, minlength: 6 },
   image: { type: String, required: true }, //url
   places: [{ type: mongoose.Types.ObjectId, required: true, ref: "Place" }],
+  isAdmin: { type: Boolean, default: false }, // set directly in the database
 });
 
 userSchema.plugin(uniqueValidator);
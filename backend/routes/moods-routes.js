@@ -0,0 +1,48 @@
+import express from "express";
+import { check } from "express-validator";
+
+import {
+  getMoods,
+  createMood,
+  updateMood,
+  deleteMood,
+} from "../controllers/moods-controller.js";
+import { hexToRgb } from "../util/color-service.js";
+import checkAuth from "../middleware/check-auth.js";
+import checkAdmin from "../middleware/check-admin.js";
+
+const router = express.Router();
+
+router.get("/", getMoods);
+
+// All routes below require an admin account
+router.use(checkAuth, checkAdmin);
+
+router.post(
+  "/",
+  [
+    check("key").matches(/^[a-z0-9-]+$/i),
+    check("label").not().isEmpty(),
+    check("swatch").custom((value) => hexToRgb(value) !== null),
+    check("radius").isFloat({ min: 1, max: 100 }),
+    check("minScore").optional().isFloat({ min: 0, max: 1 }),
+  ],
+  createMood,
+);
+
+router.patch(
+  "/:moodKey",
+  [
+    check("label").optional().not().isEmpty(),
+    check("swatch")
+      .optional()
+      .custom((value) => hexToRgb(value) !== null),
+    check("radius").optional().isFloat({ min: 1, max: 100 }),
+    check("minScore").optional().isFloat({ min: 0, max: 1 }),
+  ],
+  updateMood,
+);
+
+router.delete("/:moodKey", deleteMood);
+
+export default router;
@@ -3,24 +3,48 @@ import { check } from "express-validator";
 
 import {
   getPlaceById,
+  getPlaces,
   getPlacesByUserId,
   createPlace,
   updatePlaceById,
   deletePlaceById,
   searchByColor, // Colorwalk: Phase 3
+  filterByColor,
+  reanalyzePlace,
+  addPlacePhoto,
+  updatePlacePhotos,
+  deletePlacePhoto,
+  getPhotoMetadata,
+  getPlacesNear,
+  getPlacesWithin,
+  searchPlaces,
+  searchSemantic,
+  getSimilarPlaces,
 } from "../controllers/places-controller.js";
-import fileUpload from "../middleware/file-upload.js";
+import fileUpload, { memoryUpload } from "../middleware/file-upload.js";
 import checkAuth from "../middleware/check-auth.js";
+import { MAX_QUERY_IMAGES } from "../util/color-query.js";
 
 const router = express.Router();
 
+router.get("/", getPlaces);
 router.get("/user/:userId", getPlacesByUserId);
 
 // Colorwalk: must be registered before /:placeId — Express matches routes in
 // order, so "search" would otherwise be captured as a placeId string.
-router.post("/search/color", fileUpload.single("image"), searchByColor);
+router.post(
+  "/search/color",
+  memoryUpload.array("image", MAX_QUERY_IMAGES),
+  searchByColor,
+);
+router.get("/filter/color", filterByColor);
+router.get("/near", getPlacesNear);
+router.get("/within", getPlacesWithin);
+router.get("/search", searchPlaces);
+router.get("/search/semantic", searchSemantic);
 
 router.get("/:placeId", getPlaceById);
+router.get("/:placeId/similar", getSimilarPlaces);
 
 // All routes below require a valid JWT
 router.use(checkAuth);
@@ -31,17 +55,38 @@ router.post(
   [
     check("title").not().isEmpty(),
     check("description").isLength({ min: 5 }),
-    check("address").not().isEmpty(),
+    // optional when the photo carries GPS tags, see createPlace
+    check("address").optional({ values: "falsy" }).trim(),
   ],
   createPlace,
 );
 
+router.post("/photo-metadata", memoryUpload.single("image"), getPhotoMetadata);
+
 router.patch(
   "/:placeId",
-  [check("title").not().isEmpty(), check("description").isLength({ min: 5 })],
+  fileUpload.single("image"), // optional: replaces the current image
+  [
+    check("title").not().isEmpty(),
+    check("description").isLength({ min: 5 }),
+    check("address").optional().not().isEmpty(),
+  ],
   updatePlaceById,
 );
 
 router.delete("/:placeId", deletePlaceById);
 
+router.post("/:placeId/reanalyze", reanalyzePlace);
+
+router.post("/:placeId/photos", fileUpload.single("image"), addPlacePhoto);
+router.patch(
+  "/:placeId/photos",
+  [
+    check("order").optional().isArray({ min: 1 }),
+    check("coverPhotoId").optional().isMongoId(),
+  ],
+  updatePlacePhotos,
+);
+router.delete("/:placeId/photos/:photoId", deletePlacePhoto);
+
 export default router;
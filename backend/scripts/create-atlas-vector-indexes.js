@@ -0,0 +1,66 @@
+/**
+ * WanderMark — Atlas Vector Search index definitions
+ *
+ * Creates (or updates) the `vectorSearch` indexes used when the backend runs
+ * with VECTOR_STORE=atlas:
+ *   - place_text_embedding  on places.textEmbedding
+ *   - place_color_vector    on places.colorVector
+ *
+ * 用法:
+ *   node scripts/create-atlas-vector-indexes.js           # create / update
+ *   node scripts/create-atlas-vector-indexes.js --print   # print definitions only
+ *
+ * Requires an Atlas cluster. Index builds are asynchronous; Atlas reports
+ * progress in the "Atlas Search" tab.
+ */
+
+import mongoose from "mongoose";
+
+import Place from "../models/place.js";
+import { connectDb } from "../util/db.js";
+import {
+  ATLAS_VECTOR_INDEXES,
+  atlasIndexDefinition,
+} from "../util/vector-stores/atlas-store.js";
+
+const PRINT_ONLY = process.argv.includes("--print");
+
+const run = async () => {
+  const indexes = Object.values(ATLAS_VECTOR_INDEXES).map((index) => ({
+    name: index.name,
+    type: "vectorSearch",
+    definition: atlasIndexDefinition(index),
+  }));
+
+  if (PRINT_ONLY) {
+    console.log(JSON.stringify(indexes, null, 2));
+    return;
+  }
+
+  console.log("🔌 Connecting to MongoDB...");
+  await connectDb();
+
+  const existing = new Set(
+    (await Place.collection.listSearchIndexes().toArray()).map((i) => i.name),
+  );
+
+  for (const index of indexes) {
+    if (existing.has(index.name)) {
+      await Place.collection.updateSearchIndex(index.name, index.definition);
+      console.log(`  🔁 Updated ${index.name}`);
+    } else {
+      await Place.collection.createSearchIndex(index);
+      console.log(`  ✅ Created ${index.name}`);
+    }
+  }
+
+  console.log("\n⏳ Atlas builds vector indexes in the background.");
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("❌ Index setup failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
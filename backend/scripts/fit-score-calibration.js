@@ -0,0 +1,271 @@
+/**
+ * WanderMark Colorwalk — Fit Score Calibration
+ *
+ * Fits the logistic mappings in util/score-calibration.js from place pairs
+ * that people have judged similar or not, and reports how well the current
+ * and the fitted mappings predict those judgments.
+ *
+ * Labeled pairs are a JSON array or JSON Lines of
+ *   { "queryId": "<placeId>", "placeId": "<placeId>", "similar": true }
+ * A pair is scored the way search scores it: the query place's cover
+ * palette against each of the other place's photos (best one counts), and
+ * the cosine of their text embeddings. Color is fitted for one
+ * color-difference metric and falloff at a time, text for the current
+ * embedding model only.
+ *
+ * 用法:
+ *   node scripts/fit-score-calibration.js --pairs labels.jsonl
+ *   node scripts/fit-score-calibration.js --pairs labels.jsonl --write
+ *   node scripts/fit-score-calibration.js --pairs labels.jsonl --metric ciede2000 --falloff gaussian --write
+ *
+ * 选项:
+ *   --pairs <file>     labeled pairs (required)
+ *   --output <file>    calibration file to update (default: SCORE_CALIBRATION_FILE
+ *                      or data/score-calibration.json)
+ *   --metric <name>    cie76 | cie94 | ciede2000 (default: COLOR_DELTA_E or cie76)
+ *   --falloff <name>   linear | gaussian | exponential (default: COLOR_FALLOFF
+ *                      or linear)
+ *   --min-pairs <n>    skip a channel with fewer usable pairs (default 20)
+ *   --write            save the fitted mappings; without it only report
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import mongoose from "mongoose";
+
+import Place from "../models/place.js";
+import { connectDb } from "../util/db.js";
+import {
+  COLOR_FALLOFFS,
+  DEFAULT_COLOR_FALLOFF,
+  DEFAULT_COLOR_METRIC,
+  DELTA_E_METRICS,
+  EMBEDDING_MODEL,
+  colorPaletteSimilarity,
+  cosineSimilarity,
+} from "../util/color-service.js";
+import {
+  CALIBRATION_FILE,
+  calibrateColor,
+  calibrateText,
+  colorMetricKey,
+  fitLogistic,
+  logistic,
+  readCalibration,
+} from "../util/score-calibration.js";
+import { INDEX_FIELDS, toEntry } from "../util/vector-index.js";
+
+const { values: args } = parseArgs({
+  options: {
+    pairs: { type: "string" },
+    output: { type: "string", default: CALIBRATION_FILE },
+    metric: { type: "string", default: DEFAULT_COLOR_METRIC },
+    falloff: { type: "string", default: DEFAULT_COLOR_FALLOFF },
+    "min-pairs": { type: "string", default: "20" },
+    write: { type: "boolean", default: false },
+  },
+});
+
+const MIN_PAIRS = Math.max(parseInt(args["min-pairs"]) || 0, 2);
+
+if (!args.pairs) {
+  console.error("❌ --pairs <file> is required");
+  process.exit(1);
+}
+if (!Object.hasOwn(DELTA_E_METRICS, args.metric)) {
+  console.error(
+    `❌ --metric must be one of: ${Object.keys(DELTA_E_METRICS).join(", ")}`,
+  );
+  process.exit(1);
+}
+if (!Object.hasOwn(COLOR_FALLOFFS, args.falloff)) {
+  console.error(
+    `❌ --falloff must be one of: ${Object.keys(COLOR_FALLOFFS).join(", ")}`,
+  );
+  process.exit(1);
+}
+
+const COLOR_METRIC = { metric: args.metric, falloff: args.falloff };
+
+const readPairs = (file) => {
+  const content = fs.readFileSync(file, "utf8").trim();
+  const pairs = content.startsWith("[")
+    ? JSON.parse(content)
+    : content
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+  return pairs.filter(
+    (pair) =>
+      mongoose.isValidObjectId(pair.queryId) &&
+      mongoose.isValidObjectId(pair.placeId) &&
+      typeof pair.similar === "boolean",
+  );
+};
+
+// Index entries by id, with the palette the place would query with
+const loadEntries = async (ids) => {
+  const places = await Place.find({ _id: { $in: ids } }).select(
+    `${INDEX_FIELDS} coverPhotoId`,
+  );
+  const entries = new Map();
+  for (const place of places) {
+    const entry = toEntry(place);
+    if (!entry) continue;
+    const cover =
+      entry.photos.find((photo) => photo.id === String(place.coverPhotoId)) ??
+      entry.photos[0];
+    entries.set(entry.id, { ...entry, queryPalette: cover?.colorPalette });
+  }
+  return entries;
+};
+
+const colorSample = (query, place) => {
+  if (!query.queryPalette || place.photos.length === 0) return null;
+  return Math.max(
+    ...place.photos.map((photo) =>
+      colorPaletteSimilarity(
+        query.queryPalette,
+        photo.colorPalette,
+        COLOR_METRIC,
+      ),
+    ),
+  );
+};
+
+const textSample = (query, place) =>
+  query.textEmbedding && place.textEmbedding
+    ? cosineSimilarity(query.textEmbedding, place.textEmbedding)
+    : null;
+
+const clampProb = (p) => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+
+const metrics = (samples, predict) => {
+  let logLoss = 0;
+  let brier = 0;
+  for (const { x, y } of samples) {
+    const p = clampProb(predict(x));
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+    brier += (p - y) ** 2;
+  }
+  return {
+    logLoss: (logLoss / samples.length).toFixed(4),
+    brier: (brier / samples.length).toFixed(4),
+  };
+};
+
+// Fit one channel and print how it compares to the current mapping;
+// null when there isn't enough data
+const fitChannel = (name, samples, current) => {
+  const positives = samples.filter((s) => s.y === 1).length;
+  console.log(
+    `\n📈 ${name}: ${samples.length} pair(s), ${positives} similar, ` +
+      `${samples.length - positives} not`,
+  );
+  if (
+    samples.length < MIN_PAIRS ||
+    positives === 0 ||
+    positives === samples.length
+  ) {
+    console.log(
+      `  ⏭️  skipped — needs ${MIN_PAIRS}+ pairs with both labels present`,
+    );
+    return null;
+  }
+
+  const fitted = fitLogistic(samples);
+  const before = metrics(samples, current);
+  const after = metrics(samples, (x) => logistic(fitted, x));
+  console.log(
+    `  current  log loss ${before.logLoss}  brier ${before.brier}\n` +
+      `  fitted   log loss ${after.logLoss}  brier ${after.brier}\n` +
+      `  fitted   slope ${fitted.slope.toFixed(3)}  intercept ${fitted.intercept.toFixed(3)}` +
+      `  (50% at raw ${(-fitted.intercept / fitted.slope).toFixed(3)})`,
+  );
+  return fitted;
+};
+
+const run = async () => {
+  const pairs = readPairs(args.pairs);
+  console.log(`🏷️  ${pairs.length} labeled pair(s) from ${args.pairs}`);
+
+  console.log("🔌 Connecting to MongoDB...");
+  await connectDb();
+
+  const ids = [...new Set(pairs.flatMap((p) => [p.queryId, p.placeId]))];
+  const entries = await loadEntries(ids);
+
+  const colorSamples = [];
+  const textSamples = [];
+  let missing = 0;
+  for (const pair of pairs) {
+    const query = entries.get(pair.queryId);
+    const place = entries.get(pair.placeId);
+    if (!query || !place) {
+      missing++;
+      continue;
+    }
+    const y = pair.similar ? 1 : 0;
+    const color = colorSample(query, place);
+    const text = textSample(query, place);
+    if (color !== null) colorSamples.push({ x: color, y });
+    if (text !== null) textSamples.push({ x: text, y });
+  }
+  if (missing > 0) {
+    console.log(`⚠️  ${missing} pair(s) name a place that isn't analyzed`);
+  }
+
+  const color = fitChannel(
+    `color (${colorMetricKey(COLOR_METRIC)})`,
+    colorSamples,
+    (x) => calibrateColor(x, COLOR_METRIC),
+  );
+  const text = fitChannel(
+    `text (${EMBEDDING_MODEL})`,
+    textSamples,
+    calibrateText,
+  );
+
+  if (!args.write) {
+    console.log("\n📝 Report only — pass --write to save the fitted mappings");
+    return;
+  }
+  if (!color && !text) {
+    console.log("\n⏭️  Nothing fitted, calibration file left unchanged");
+    return;
+  }
+
+  const config = readCalibration(args.output);
+  const round = ({ slope, intercept }) => ({
+    slope: Math.round(slope * 1e4) / 1e4,
+    intercept: Math.round(intercept * 1e4) / 1e4,
+  });
+  if (color) {
+    config.color.metrics = {
+      ...config.color.metrics,
+      [colorMetricKey(COLOR_METRIC)]: round(color),
+    };
+  }
+  if (text) {
+    config.text.models = {
+      ...config.text.models,
+      [EMBEDDING_MODEL]: round(text),
+    };
+  }
+  config.fittedAt = new Date().toISOString();
+  fs.writeFileSync(args.output, `${JSON.stringify(config, null, 2)}\n`);
+  console.log(
+    `\n💾 Saved to ${args.output} — restart the backend to pick it up`,
+  );
+};
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("❌ Calibration failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
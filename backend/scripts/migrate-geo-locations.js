@@ -0,0 +1,65 @@
+/**
+ * WanderMark — GeoJSON location backfill
+ *
+ * Places created before geospatial queries only have `coordinates`
+ * ({ lat, lng }). This copies them into the GeoJSON `location` field
+ * ([lng, lat]) that the 2dsphere index and /near, /within rely on, and makes
+ * sure the index exists. Places saved since then get `location` on save.
+ *
+ * 用法:
+ *   node scripts/migrate-geo-locations.js             # backfill + create index
+ *   node scripts/migrate-geo-locations.js --dry-run   # only count what's missing
+ *
+ * Safe to re-run: places that already have `location` are left alone.
+ */
+
+import mongoose from "mongoose";
+
+import Place from "../models/place.js";
+import { connectDb } from "../util/db.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const missingLocation = {
+  "location.coordinates": { $exists: false },
+  "coordinates.lat": { $type: "number" },
+  "coordinates.lng": { $type: "number" },
+};
+
+const run = async () => {
+  console.log("🔌 Connecting to MongoDB...");
+  await connectDb();
+
+  const missing = await Place.countDocuments(missingLocation);
+  console.log(
+    `📍 ${missing} place(s) without a GeoJSON location` +
+      `${DRY_RUN ? " (dry run)" : ""}`,
+  );
+  if (DRY_RUN) return;
+
+  if (missing > 0) {
+    // Pipeline update: the point is built from each document's own fields
+    const result = await Place.updateMany(missingLocation, [
+      {
+        $set: {
+          location: {
+            type: "Point",
+            coordinates: ["$coordinates.lng", "$coordinates.lat"],
+          },
+        },
+      },
+    ]);
+    console.log(`  ✅ Backfilled ${result.modifiedCount} place(s)`);
+  }
+
+  await Place.createIndexes();
+  console.log("  ✅ 2dsphere index on places.location is in place");
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("❌ Migration failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+/**
+ * WanderMark Colorwalk — Re-analysis / Backfill
+ *
+ * Re-runs the color-service.js pipeline for places that are missing
+ * colorPalette / colorVector / textEmbedding, or for an explicit selection.
+ *
+ * 用法:
+ *   node scripts/reanalyze-places.js                   # every place missing data
+ *   node scripts/reanalyze-places.js --place <placeId>
+ *   node scripts/reanalyze-places.js --user <userId>
+ *   node scripts/reanalyze-places.js --all
+ *   node scripts/reanalyze-places.js --stale            # vectors from an old algorithm version
+ *
+ * 选项:
+ *   --steps color,embedding  only run these steps (default: whatever is missing
+ *                            or stale, or both steps for --place / --user / --all)
+ *   --throttle <ms>          pause between places (default 1000)
+ *   --limit <n>              stop after n places
+ *   --enqueue                hand places to the job queue instead of running inline
+ *   --dry-run                list what would be processed, change nothing
+ */
+
+import { parseArgs } from "node:util";
+import mongoose from "mongoose";
+
+import Place from "../models/place.js";
+import { connectDb } from "../util/db.js";
+import {
+  ANALYSIS_STEPS,
+  analyzePlace,
+  enqueuePlaceAnalysis,
+} from "../util/place-analysis.js";
+import { staleSteps, staleVectorsFilter } from "../util/vector-migration.js";
+
+const { values: args } = parseArgs({
+  options: {
+    place: { type: "string" },
+    user: { type: "string" },
+    all: { type: "boolean", default: false },
+    stale: { type: "boolean", default: false },
+    steps: { type: "string" },
+    throttle: { type: "string", default: "1000" },
+    limit: { type: "string" },
+    enqueue: { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+const THROTTLE_MS = Math.max(parseInt(args.throttle) || 0, 0);
+const LIMIT = args.limit ? parseInt(args.limit) : null;
+const DRY_RUN = args["dry-run"];
+
+const requestedSteps = args.steps
+  ? args.steps.split(",").map((s) => s.trim())
+  : null;
+
+if (requestedSteps?.some((step) => !ANALYSIS_STEPS.includes(step))) {
+  console.error(`❌ --steps must be a subset of: ${ANALYSIS_STEPS.join(", ")}`);
+  process.exit(1);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isEmpty = (arr) => !arr || arr.length === 0;
+
+// Without an explicit selection, target places whose pipeline never
+// completed: no colorAnalyzedAt (on the place or any photo), or no text
+// embedding.
+const buildFilter = () => {
+  if (args.place) return { _id: args.place };
+  if (args.user) return { creatorId: args.user };
+  if (args.all) return {};
+  if (args.stale) return staleVectorsFilter();
+  return {
+    $or: [
+      { colorAnalyzedAt: null },
+      { photos: { $elemMatch: { colorAnalyzedAt: null } } },
+      { textEmbedding: { $exists: false } },
+      { textEmbedding: { $size: 0 } },
+    ],
+  };
+};
+
+const stepsFor = (place) => {
+  if (requestedSteps) return requestedSteps;
+  if (args.place || args.user || args.all) return ANALYSIS_STEPS;
+  if (args.stale) return staleSteps(place);
+
+  const steps = [];
+  if (
+    !place.colorAnalyzedAt ||
+    place.photos?.some((photo) => !photo.colorAnalyzedAt)
+  ) {
+    steps.push("color");
+  }
+  if (isEmpty(place.textEmbedding)) steps.push("embedding");
+  return steps;
+};
+
+const run = async () => {
+  console.log("🔌 Connecting to MongoDB...");
+  await connectDb();
+
+  let query = Place.find(buildFilter())
+    .select(
+      "title colorAnalyzedAt colorAlgorithmVersion photos.colorAnalyzedAt photos.colorAlgorithmVersion embeddingProvider embeddingModel embeddingDimensions",
+    )
+    .slice("textEmbedding", 1) // only need to know whether it's empty
+    .sort({ _id: 1 })
+    .lean();
+  if (LIMIT) query = query.limit(LIMIT);
+  const places = await query;
+
+  console.log(
+    `🎨 ${places.length} place(s) selected` +
+      `${DRY_RUN ? " (dry run)" : ""}` +
+      `${args.enqueue ? " → job queue" : ""}\n`,
+  );
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, skipped: 0 };
+  const startedAt = Date.now();
+
+  for (const [i, place] of places.entries()) {
+    const steps = stepsFor(place);
+    const label = `[${i + 1}/${places.length}] ${place._id} "${place.title}"`;
+
+    if (steps.length === 0) {
+      summary.skipped++;
+      console.log(`  ⏭️  ${label} — nothing missing`);
+      continue;
+    }
+
+    if (DRY_RUN) {
+      summary.processed++;
+      console.log(`  📝 ${label} — would run: ${steps.join(", ")}`);
+      continue;
+    }
+
+    summary.processed++;
+    try {
+      if (args.enqueue) {
+        await enqueuePlaceAnalysis(place._id, { steps });
+        console.log(`  📬 ${label} — queued: ${steps.join(", ")}`);
+      } else {
+        await Place.updateOne(
+          { _id: place._id },
+          { analysisStatus: "running" },
+        );
+        await analyzePlace(place._id, { steps });
+        await Place.updateOne(
+          { _id: place._id },
+          { analysisStatus: "done", analysisError: null },
+        );
+        console.log(`  ✅ ${label} — ${steps.join(", ")}`);
+      }
+      summary.succeeded++;
+    } catch (err) {
+      summary.failed++;
+      await Place.updateOne(
+        { _id: place._id },
+        { analysisStatus: "failed", analysisError: err.message },
+      );
+      console.log(`  ❌ ${label} — ${err.message}`);
+    }
+
+    // Throttle to stay under the image CDN and embedding API rate limits
+    if (THROTTLE_MS > 0 && i < places.length - 1 && !args.enqueue) {
+      await sleep(THROTTLE_MS);
+    }
+  }
+
+  const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(
+    `\n📊 Done in ${elapsed}s — processed ${summary.processed}, ` +
+      `succeeded ${summary.succeeded}, failed ${summary.failed}, ` +
+      `skipped ${summary.skipped}`,
+  );
+
+  return summary;
+};
+
+run()
+  .then(async (summary) => {
+    await mongoose.disconnect();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch(async (err) => {
+    console.error("❌ Re-analysis failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
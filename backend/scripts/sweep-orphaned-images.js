@@ -0,0 +1,116 @@
+/**
+ * WanderMark — Orphaned image sweep
+ *
+ * Reconciles the storage driver's folder against the images the database
+ * still references (Place.image, Place.photos, User.image) and reports — or
+ * deletes — the files nothing points to. Orphans come from requests that
+ * died before their upload could be rolled back, or from cleanup calls that
+ * failed.
+ *
+ * 用法:
+ *   node scripts/sweep-orphaned-images.js            # report only
+ *   node scripts/sweep-orphaned-images.js --delete   # delete the orphans
+ *
+ * 选项:
+ *   --min-age <hours>  skip files newer than this (default 24): an upload
+ *                      whose place is still being saved has no reference yet
+ *   --folder <name>    storage folder to sweep (default wander_mark)
+ *
+ * Meant to run periodically, e.g. a nightly cron job:
+ *   0 4 * * *  cd backend && npm run sweep:images -- --delete
+ */
+
+import { parseArgs } from "node:util";
+import mongoose from "mongoose";
+
+import Place from "../models/place.js";
+import User from "../models/user.js";
+import { connectDb } from "../util/db.js";
+import storage from "../util/storage.js";
+
+const { values: args } = parseArgs({
+  options: {
+    delete: { type: "boolean", default: false },
+    "min-age": { type: "string", default: "24" },
+    folder: { type: "string", default: "wander_mark" },
+  },
+});
+
+const MIN_AGE_MS = Math.max(parseFloat(args["min-age"]) || 0, 0) * 3600 * 1000;
+
+const collectReferencedKeys = async () => {
+  const keys = new Set();
+  const sources = [
+    Place.find().select("image photos.url").lean().cursor(),
+    User.find().select("image").lean().cursor(),
+  ];
+  for (const cursor of sources) {
+    for await (const doc of cursor) {
+      const urls = [doc.image, ...(doc.photos ?? []).map(({ url }) => url)];
+      for (const url of urls) {
+        const key = storage.keyFromUrl(url);
+        if (key) keys.add(key);
+      }
+    }
+  }
+  return keys;
+};
+
+const run = async () => {
+  console.log("🔌 Connecting to MongoDB...");
+  await connectDb();
+
+  const referenced = await collectReferencedKeys();
+  console.log(
+    `🔗 ${referenced.size} image(s) referenced by places and users ` +
+      `(${storage.name} storage, folder "${args.folder}")\n`,
+  );
+
+  const summary = { scanned: 0, orphaned: 0, deleted: 0, tooNew: 0 };
+  const cutoff = Date.now() - MIN_AGE_MS;
+
+  for await (const file of storage.list({ folder: args.folder })) {
+    summary.scanned++;
+    if (referenced.has(file.key)) continue;
+
+    if (file.createdAt.getTime() > cutoff) {
+      summary.tooNew++;
+      continue;
+    }
+
+    summary.orphaned++;
+    if (!args.delete) {
+      console.log(
+        `  🗑️  ${file.key} — orphaned since ${file.createdAt.toISOString()}`,
+      );
+      continue;
+    }
+
+    try {
+      await storage.delete(file.key);
+      summary.deleted++;
+      console.log(`  ✅ ${file.key} — deleted`);
+    } catch (err) {
+      console.log(`  ❌ ${file.key} — ${err.message}`);
+    }
+  }
+
+  console.log(
+    `\n📊 Scanned ${summary.scanned}, orphaned ${summary.orphaned}` +
+      `${args.delete ? `, deleted ${summary.deleted}` : " (report only, pass --delete to remove)"}` +
+      `, skipped ${summary.tooNew} newer than ${args["min-age"]}h`,
+  );
+
+  return summary;
+};
+
+run()
+  .then(async (summary) => {
+    await mongoose.disconnect();
+    process.exit(args.delete && summary.deleted < summary.orphaned ? 1 : 0);
+  })
+  .catch(async (err) => {
+    console.error("❌ Sweep failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  COLOR_FALLOFFS,
+  DELTA_E_METRICS,
+  colorPaletteSimilarity,
+  deltaE,
+  deltaE94,
+  deltaE2000,
+  hexToLab,
+  hexToRgb,
+  isPaletteMatch,
+  mergePalettes,
+} from "../util/color-service.js";
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`,
+  );
+
+describe("hexToRgb / hexToLab", () => {
+  it("parses short and long forms, with or without #", () => {
+    assert.deepEqual(hexToRgb("#fa0"), [255, 170, 0]);
+    assert.deepEqual(hexToRgb("FFAA00"), [255, 170, 0]);
+    assert.equal(hexToRgb("#ffaa0"), null);
+    assert.equal(hexToLab("red"), null);
+  });
+
+  it("converts against the D65 white point", () => {
+    const white = hexToLab("#ffffff");
+    close(white[0], 100, 0.01);
+    close(white[1], 0, 0.01);
+    close(white[2], 0, 0.01);
+    const [L, a, b] = hexToLab("#ff0000");
+    close(L, 53.24, 0.05);
+    close(a, 80.09, 0.05);
+    close(b, 67.2, 0.05);
+  });
+});
+
+describe("deltaE (CIE76)", () => {
+  it("is the euclidean distance in Lab", () => {
+    assert.equal(deltaE([50, 0, 0], [53, 4, 0]), 5);
+    assert.equal(deltaE([50, 10, -10], [50, 10, -10]), 0);
+  });
+});
+
+describe("deltaE94", () => {
+  it("weights chroma and hue by the reference color's chroma", () => {
+    // Pure chroma difference: ΔC / (1 + 0.045·C1)
+    close(deltaE94([50, 20, 0], [50, 10, 0]), 10 / 1.9, 1e-9);
+    // Pure lightness difference is unscaled
+    close(deltaE94([40, 20, 0], [50, 20, 0]), 10, 1e-9);
+  });
+
+  it("is not symmetric", () => {
+    assert.notEqual(
+      deltaE94([50, 20, 0], [50, 10, 0]),
+      deltaE94([50, 10, 0], [50, 20, 0]),
+    );
+  });
+});
+
+describe("deltaE2000", () => {
+  // Sharma, Wu & Dalal (2005), table 1
+  const pairs = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, 2.8361, -74.02], [50, 0, -82.7485], 3.4412],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+    [[50, -0.001, 2.49], [50, 0.0009, -2.49], 4.8045],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  ];
+
+  it("matches the published reference values", () => {
+    for (const [labA, labB, expected] of pairs) {
+      close(deltaE2000(labA, labB), expected, 1e-4);
+    }
+  });
+
+  it("is symmetric", () => {
+    for (const [labA, labB] of pairs) {
+      close(deltaE2000(labA, labB), deltaE2000(labB, labA), 1e-9);
+    }
+  });
+
+  it("is 0 for identical colors, including neutrals", () => {
+    assert.equal(deltaE2000([50, 0, 0], [50, 0, 0]), 0);
+    assert.equal(deltaE2000([70, 20, -30], [70, 20, -30]), 0);
+  });
+});
+
+describe("COLOR_FALLOFFS", () => {
+  it("start at 1 and decrease with ΔE", () => {
+    for (const toSimilarity of Object.values(COLOR_FALLOFFS)) {
+      assert.equal(toSimilarity(0), 1);
+      const values = [5, 20, 50, 100].map(toSimilarity);
+      values.slice(1).forEach((v, i) => assert.ok(v < values[i]));
+      values.forEach((v) => assert.ok(v >= 0));
+    }
+  });
+
+  it("linear reaches 0 at ΔE 100", () => {
+    assert.equal(COLOR_FALLOFFS.linear(100), 0);
+    assert.equal(COLOR_FALLOFFS.linear(150), 0);
+  });
+
+  it("gaussian forgives small differences, exponential does not", () => {
+    const { linear, gaussian, exponential } = COLOR_FALLOFFS;
+    assert.ok(gaussian(10) > linear(10));
+    assert.ok(exponential(10) < linear(10));
+  });
+});
+
+describe("colorPaletteSimilarity", () => {
+  const swatch = (hex, population) => ({ lab: hexToLab(hex), population });
+  const palette = [swatch("#c0392b", 600), swatch("#2980b9", 400)];
+
+  it("is 1 for identical palettes with every metric and falloff", () => {
+    for (const metric of Object.keys(DELTA_E_METRICS)) {
+      for (const falloff of Object.keys(COLOR_FALLOFFS)) {
+        close(
+          colorPaletteSimilarity(palette, palette, { metric, falloff }),
+          1,
+          1e-12,
+        );
+      }
+    }
+  });
+
+  it("is 0 when either palette is empty", () => {
+    assert.equal(colorPaletteSimilarity([], palette), 0);
+    assert.equal(colorPaletteSimilarity(palette, undefined), 0);
+  });
+
+  it("averages each query color's best match, by population", () => {
+    const other = [swatch("#e74c3c", 1), swatch("#3498db", 1)];
+    const best = (lab) =>
+      Math.max(...other.map((s) => Math.max(0, 1 - deltaE(lab, s.lab) / 100)));
+    const expected =
+      (600 * best(palette[0].lab) + 400 * best(palette[1].lab)) / 1000;
+    close(
+      colorPaletteSimilarity(palette, other, {
+        metric: "cie76",
+        falloff: "linear",
+      }),
+      expected,
+      1e-12,
+    );
+  });
+
+  it("weights the query palette by population", () => {
+    const red = [swatch("#c0392b", 1)];
+    const mostlyRed = [swatch("#c0392b", 900), swatch("#2980b9", 100)];
+    const mostlyBlue = [swatch("#c0392b", 100), swatch("#2980b9", 900)];
+    assert.ok(
+      colorPaletteSimilarity(mostlyRed, red) >
+        colorPaletteSimilarity(mostlyBlue, red),
+    );
+  });
+});
+
+describe("mergePalettes", () => {
+  const swatch = (hex, population) => ({
+    hex,
+    rgb: hexToRgb(hex),
+    population,
+  });
+
+  it("normalizes each palette before weighting and totals 10000", () => {
+    const merged = mergePalettes([
+      [swatch("#ff0000", 3)],
+      [swatch("#0000ff", 300), swatch("#00ff00", 100)],
+    ]);
+    assert.deepEqual(
+      merged.map(({ hex, population }) => [hex, population]),
+      [
+        ["#ff0000", 5000],
+        ["#0000ff", 3750],
+        ["#00ff00", 1250],
+      ],
+    );
+  });
+
+  it("merges near-identical colors into the larger share", () => {
+    const merged = mergePalettes([
+      [swatch("#ff0000", 3), swatch("#fe0101", 1)],
+    ]);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].hex, "#ff0000");
+    assert.equal(merged[0].population, 10000);
+  });
+
+  it("applies palette weights and keeps maxColors", () => {
+    const merged = mergePalettes(
+      [[swatch("#ff0000", 1)], [swatch("#0000ff", 1)], [swatch("#00ff00", 1)]],
+      { weights: [3, 1, 0], maxColors: 1 },
+    );
+    assert.deepEqual(merged, [
+      { hex: "#ff0000", rgb: [255, 0, 0], population: 7500 },
+    ]);
+  });
+});
+
+describe("isPaletteMatch", () => {
+  it("needs a score above 0 even when minScore is 0", () => {
+    assert.equal(isPaletteMatch(0, 0), false);
+    assert.equal(isPaletteMatch(0.01, 0), true);
+  });
+
+  it("needs the score to reach minScore", () => {
+    assert.equal(isPaletteMatch(0.3, 0.4), false);
+    assert.equal(isPaletteMatch(0.4, 0.4), true);
+  });
+});
@@ -0,0 +1,220 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { readExif, stripLocation } from "../util/exif.js";
+
+// ── Fixtures ──────────────────────────────────────────────────────────────
+// A big-endian TIFF block with IFD0 (Orientation, Exif and GPS pointers), an
+// Exif IFD (DateTimeOriginal, OffsetTimeOriginal) and a GPS IFD, wrapped in
+// a JPEG that also carries an XMP packet.
+
+const ascii = (text) => Buffer.from(`${text}\0`, "latin1");
+
+// degrees / minutes / seconds as three rationals
+const dms = (degrees, minutes, secondsX100) => {
+  const data = Buffer.alloc(24);
+  [
+    [degrees, 1],
+    [minutes, 1],
+    [secondsX100, 100],
+  ].forEach(([numerator, denominator], i) => {
+    data.writeUInt32BE(numerator, i * 8);
+    data.writeUInt32BE(denominator, i * 8 + 4);
+  });
+  return data;
+};
+
+/**
+ * Lay out IFDs one after another, values over 4 bytes after each table.
+ * entries: [tag, type, count, Buffer | number | { pointer: ifdIndex }]
+ */
+const buildTiff = (ifds) => {
+  const tableSize = (entries) => 2 + entries.length * 12 + 4;
+  const extraSize = (entries) =>
+    entries.reduce(
+      (sum, [, , , value]) =>
+        sum + (Buffer.isBuffer(value) && value.length > 4 ? value.length : 0),
+      0,
+    );
+
+  const offsets = [];
+  let offset = 8;
+  for (const entries of ifds) {
+    offsets.push(offset);
+    offset += tableSize(entries) + extraSize(entries);
+  }
+
+  const tiff = Buffer.alloc(offset);
+  tiff.write("MM", 0, "latin1");
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(offsets[0], 4);
+
+  ifds.forEach((entries, i) => {
+    let position = offsets[i];
+    let extra = position + tableSize(entries);
+    tiff.writeUInt16BE(entries.length, position);
+    position += 2;
+    for (const [tag, type, count, value] of entries) {
+      tiff.writeUInt16BE(tag, position);
+      tiff.writeUInt16BE(type, position + 2);
+      tiff.writeUInt32BE(count, position + 4);
+      if (Buffer.isBuffer(value) && value.length > 4) {
+        tiff.writeUInt32BE(extra, position + 8);
+        value.copy(tiff, extra);
+        extra += value.length;
+      } else if (Buffer.isBuffer(value)) {
+        value.copy(tiff, position + 8);
+      } else if (typeof value === "object") {
+        tiff.writeUInt32BE(offsets[value.pointer], position + 8);
+      } else if (type === 3) {
+        tiff.writeUInt16BE(value, position + 8);
+      } else {
+        tiff.writeUInt32BE(value, position + 8);
+      }
+      position += 12;
+    }
+  });
+  return tiff;
+};
+
+const photoTiff = ({ latRef = "N", lngRef = "W", orientation = 6 } = {}) =>
+  buildTiff([
+    [
+      [0x0112, 3, 1, orientation],
+      [0x8769, 4, 1, { pointer: 1 }],
+      [0x8825, 4, 1, { pointer: 2 }],
+    ],
+    [
+      [0x9003, 2, 20, ascii("2024:05:17 18:42:07")],
+      [0x9011, 2, 7, ascii("+09:00")],
+    ],
+    [
+      [0x0001, 2, 2, ascii(latRef)],
+      // 35° 39' 29.16"
+      [0x0002, 5, 3, dms(35, 39, 2916)],
+      [0x0003, 2, 2, ascii(lngRef)],
+      // 139° 42' 3.00"
+      [0x0004, 5, 3, dms(139, 42, 300)],
+    ],
+  ]);
+
+const segment = (marker, data) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xff00 | marker, 0);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+};
+
+const IMAGE_DATA = Buffer.from([
+  0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9,
+]);
+
+const jpeg = (tiff, { xmp = true } = {}) =>
+  Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe1, Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff])),
+    ...(xmp
+      ? [
+          segment(
+            0xe1,
+            Buffer.from(
+              'http://ns.adobe.com/xap/1.0/\0<x:xmpmeta exif:GPSLatitude="35,39.486N"/>',
+              "latin1",
+            ),
+          ),
+        ]
+      : []),
+    IMAGE_DATA,
+  ]);
+
+// ── readExif ──────────────────────────────────────────────────────────────
+
+describe("readExif", () => {
+  it("reads GPS coordinates, capture time and orientation", () => {
+    const { coordinates, capturedAt, orientation } = readExif(
+      jpeg(photoTiff()),
+    );
+    assert.ok(Math.abs(coordinates.lat - 35.6581) < 1e-4);
+    assert.ok(Math.abs(coordinates.lng - -139.7008) < 1e-4);
+    assert.equal(capturedAt.toISOString(), "2024-05-17T09:42:07.000Z");
+    assert.equal(orientation, 6);
+  });
+
+  it("applies the hemisphere references", () => {
+    const { coordinates } = readExif(
+      jpeg(photoTiff({ latRef: "S", lngRef: "E" })),
+    );
+    assert.ok(coordinates.lat < 0);
+    assert.ok(coordinates.lng > 0);
+  });
+
+  it("ignores an out-of-range orientation", () => {
+    assert.equal(
+      readExif(jpeg(photoTiff({ orientation: 9 }))).orientation,
+      null,
+    );
+  });
+
+  it("treats a 0/0 fix as no location", () => {
+    const tiff = buildTiff([
+      [[0x8825, 4, 1, { pointer: 1 }]],
+      [
+        [0x0001, 2, 2, ascii("N")],
+        [0x0002, 5, 3, dms(0, 0, 0)],
+        [0x0003, 2, 2, ascii("E")],
+        [0x0004, 5, 3, dms(0, 0, 0)],
+      ],
+    ]);
+    assert.equal(readExif(jpeg(tiff)).coordinates, null);
+  });
+
+  it("returns empty metadata for images without or with broken EXIF", () => {
+    const empty = { coordinates: null, capturedAt: null, orientation: null };
+    assert.deepEqual(
+      readExif(Buffer.concat([Buffer.from([0xff, 0xd8]), IMAGE_DATA])),
+      empty,
+    );
+    assert.deepEqual(readExif(Buffer.from("not an image")), empty);
+
+    const broken = photoTiff();
+    broken.writeUInt32BE(0xffff, 4); // IFD0 pointer past the end
+    assert.deepEqual(readExif(jpeg(broken)), empty);
+  });
+});
+
+// ── stripLocation ─────────────────────────────────────────────────────────
+
+describe("stripLocation", () => {
+  it("blanks the GPS tags and drops XMP, keeping the rest", () => {
+    const original = jpeg(photoTiff());
+    const stripped = stripLocation(original);
+
+    const metadata = readExif(stripped);
+    assert.equal(metadata.coordinates, null);
+    assert.equal(metadata.orientation, 6);
+    assert.equal(metadata.capturedAt.toISOString(), "2024-05-17T09:42:07.000Z");
+
+    assert.equal(stripped.indexOf("ns.adobe.com"), -1);
+    assert.ok(stripped.subarray(-IMAGE_DATA.length).equals(IMAGE_DATA));
+  });
+
+  it("leaves the input buffer untouched", () => {
+    const original = jpeg(photoTiff());
+    const copy = Buffer.from(original);
+    stripLocation(original);
+    assert.ok(original.equals(copy));
+  });
+
+  it("drops an EXIF block it can't parse", () => {
+    const broken = photoTiff();
+    broken.write("XX", 0, "latin1"); // not a TIFF byte order
+    const stripped = stripLocation(jpeg(broken, { xmp: false }));
+    assert.equal(stripped.indexOf("Exif"), -1);
+    assert.ok(stripped.subarray(-IMAGE_DATA.length).equals(IMAGE_DATA));
+  });
+
+  it("returns other formats unchanged", () => {
+    const gif = Buffer.from("GIF89a");
+    assert.equal(stripLocation(gif), gif);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseListingQuery, parseTags } from "../util/place-listing.js";
+
+// Cursors are base64url JSON of { id, value? } (see findPlacePage)
+const cursorFor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const rejects = (query, status = 422) =>
+  assert.throws(
+    () => parseListingQuery(query),
+    (err) => err.code === status,
+  );
+
+describe("parseListingQuery cursors", () => {
+  it("decodes an id-only cursor for the _id sorts", () => {
+    for (const sort of ["newest", "oldest"]) {
+      const { cursor } = parseListingQuery({
+        sort,
+        cursor: cursorFor({ id: ID }),
+      });
+      assert.equal(cursor.id.toString(), ID);
+    }
+  });
+
+  it("decodes the sort value for title and distance", () => {
+    const title = parseListingQuery({
+      sort: "title",
+      cursor: cursorFor({ id: ID, value: "Élan" }),
+    });
+    assert.equal(title.cursor.value, "Élan");
+
+    const distance = parseListingQuery({
+      sort: "distance",
+      lat: "35.68",
+      lng: "139.76",
+      cursor: cursorFor({ id: ID, value: 1234.5 }),
+    });
+    assert.equal(distance.cursor.value, 1234.5);
+  });
+
+  it("rejects cursors that don't fit the sort", () => {
+    // title needs a string, distance a number
+    rejects({ sort: "title", cursor: cursorFor({ id: ID, value: 3 }) });
+    rejects({ sort: "title", cursor: cursorFor({ id: ID }) });
+    rejects({
+      sort: "distance",
+      lat: "0",
+      lng: "0",
+      cursor: cursorFor({ id: ID, value: "near" }),
+    });
+  });
+
+  it("rejects malformed cursors", () => {
+    rejects({ cursor: "not base64 json" });
+    rejects({ cursor: cursorFor({ id: "nope" }) });
+    rejects({ cursor: cursorFor(null) });
+  });
+
+  it("has no cursor on the first page", () => {
+    assert.equal(parseListingQuery({}).cursor, null);
+  });
+});
+
+describe("parseListingQuery options", () => {
+  it("defaults to the newest places, 20 per page", () => {
+    const listing = parseListingQuery({});
+    assert.equal(listing.sort, "newest");
+    assert.equal(listing.limit, 20);
+    assert.deepEqual(listing.filter, {});
+  });
+
+  it("checks sort and limit", () => {
+    rejects({ sort: "random" });
+    rejects({ limit: "0" });
+    rejects({ limit: "101" });
+    rejects({ limit: "abc" });
+    assert.equal(parseListingQuery({ limit: "7.9" }).limit, 7);
+  });
+
+  it("needs a center for the distance sort", () => {
+    rejects({ sort: "distance" });
+    const listing = parseListingQuery({
+      sort: "distance",
+      lat: "48.85",
+      lng: "2.35",
+      radius: "1000",
+    });
+    assert.deepEqual(listing.center, { lat: 48.85, lng: 2.35 });
+    assert.equal(listing.radius, 1000);
+  });
+
+  it("builds filters from the query", () => {
+    const { filter } = parseListingQuery({
+      hasColor: "true",
+      isColorful: "false",
+      createdAfter: "2024-01-01T00:00:00Z",
+      tags: "Night, neon,night",
+    });
+    assert.deepEqual(filter["colorPalette.0"], { $exists: true });
+    assert.equal(filter.isColorful, false);
+    assert.equal(
+      filter._id.$gte.getTimestamp().toISOString(),
+      "2024-01-01T00:00:00.000Z",
+    );
+    assert.deepEqual(filter.tags, { $all: ["night", "neon"] });
+
+    rejects({ hasColor: "yes" });
+    rejects({ createdBefore: "yesterday" });
+  });
+});
+
+describe("parseTags", () => {
+  it("trims, lowercases and dedupes", () => {
+    assert.deepEqual(parseTags(" Sunset,sunset , Beach,"), ["sunset", "beach"]);
+    assert.deepEqual(parseTags(["A", "b"]), ["a", "b"]);
+  });
+
+  it("limits count and length", () => {
+    assert.throws(() =>
+      parseTags(Array.from({ length: 21 }, (_, i) => `t${i}`)),
+    );
+    assert.throws(() => parseTags(["x".repeat(41)]));
+  });
+});
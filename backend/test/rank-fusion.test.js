@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { RRF_K, reciprocalRankFusion } from "../util/rank-fusion.js";
+
+describe("reciprocalRankFusion", () => {
+  it("sums 1 / (k + rank) over the lists", () => {
+    const [first] = reciprocalRankFusion({
+      semantic: ["a", "b"],
+      keyword: ["b", "a"],
+    });
+    assert.ok(
+      Math.abs(first.score - (1 / (RRF_K + 1) + 1 / (RRF_K + 2))) < 1e-12,
+    );
+  });
+
+  it("ranks items found by both lists above items found by one", () => {
+    const fused = reciprocalRankFusion({
+      semantic: ["a", "b", "c"],
+      keyword: ["c", "d"],
+    });
+    assert.equal(fused[0].id, "c");
+    assert.deepEqual(fused[0].ranks, { semantic: 3, keyword: 1 });
+    assert.deepEqual(fused.find(({ id }) => id === "d").ranks, {
+      semantic: null,
+      keyword: 2,
+    });
+  });
+
+  it("treats ObjectId-like values by their string form", () => {
+    const id = { toString: () => "64b7f0c2a1b2c3d4e5f60718" };
+    const fused = reciprocalRankFusion({
+      semantic: [id],
+      keyword: ["64b7f0c2a1b2c3d4e5f60718"],
+    });
+    assert.equal(fused.length, 1);
+  });
+
+  it("takes k as an option", () => {
+    const [item] = reciprocalRankFusion({ only: ["a"] }, { k: 0 });
+    assert.equal(item.score, 1);
+  });
+
+  it("handles empty lists", () => {
+    assert.deepEqual(reciprocalRankFusion({ semantic: [], keyword: [] }), []);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  MAX_FEEDBACK_EXAMPLES,
+  ROCCHIO_WEIGHTS,
+  feedbackColorSim,
+  parseFeedback,
+} from "../util/relevance-feedback.js";
+
+const A = "64b7f0c2a1b2c3d4e5f60718";
+const B = "64b7f0c2a1b2c3d4e5f60719";
+
+const rejects = (body) =>
+  assert.throws(
+    () => parseFeedback(body),
+    (err) => err.code === 422,
+  );
+
+describe("parseFeedback", () => {
+  it("accepts arrays and comma-separated strings, deduplicated", () => {
+    assert.deepEqual(
+      parseFeedback({ positiveIds: [A, A], negativeIds: ` ${B},` }),
+      {
+        positiveIds: [A],
+        negativeIds: [B],
+      },
+    );
+  });
+
+  it("treats missing or empty lists as no feedback", () => {
+    assert.deepEqual(parseFeedback({}), { positiveIds: [], negativeIds: [] });
+    assert.deepEqual(parseFeedback({ positiveIds: "" }).positiveIds, []);
+  });
+
+  it("rejects invalid ids, too many ids and contradictions", () => {
+    rejects({ positiveIds: "nope" });
+    rejects({
+      negativeIds: Array.from(
+        { length: MAX_FEEDBACK_EXAMPLES + 1 },
+        (_, i) => A.slice(0, -2) + String(i).padStart(2, "0"),
+      ),
+    });
+    rejects({ positiveIds: [A], negativeIds: [A] });
+  });
+});
+
+describe("feedbackColorSim", () => {
+  const { gamma } = ROCCHIO_WEIGHTS;
+
+  it("leaves the similarity alone without negatives", () => {
+    assert.equal(feedbackColorSim(0.7, []), 0.7);
+  });
+
+  it("subtracts γ times the mean similarity to the negatives, rescaled", () => {
+    const expected = (0.8 - gamma * 0.5) / (1 - gamma);
+    assert.ok(Math.abs(feedbackColorSim(0.8, [0.4, 0.6]) - expected) < 1e-12);
+  });
+
+  it("keeps a candidate as close to the negatives as to the query", () => {
+    assert.ok(Math.abs(feedbackColorSim(0.6, [0.6]) - 0.6) < 1e-12);
+  });
+
+  it("clamps to [0, 1]", () => {
+    assert.equal(feedbackColorSim(0, [1]), 0);
+    assert.equal(feedbackColorSim(1, [0]), 1);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import {
+  DEFAULT_COLOR_FALLOFF,
+  DEFAULT_COLOR_METRIC,
+} from "../util/color-service.js";
+import {
+  calibrateColor,
+  calibrateText,
+  colorMetricKey,
+  fitLogistic,
+  logistic,
+  readCalibration,
+} from "../util/score-calibration.js";
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`,
+  );
+
+// Deterministic labels drawn from a known curve: at each x, the share of
+// positives matches the curve's probability
+const sampleCurve = (mapping, { points = 41, perPoint = 50 } = {}) => {
+  const samples = [];
+  for (let i = 0; i < points; i++) {
+    const x = i / (points - 1);
+    const positives = Math.round(logistic(mapping, x) * perPoint);
+    for (let j = 0; j < perPoint; j++) {
+      samples.push({ x, y: j < positives ? 1 : 0 });
+    }
+  }
+  return samples;
+};
+
+describe("logistic", () => {
+  it("is 0.5 where slope·x + intercept is 0", () => {
+    close(logistic({ slope: 10, intercept: -6 }, 0.6), 0.5, 1e-12);
+  });
+
+  it("increases with x for a positive slope", () => {
+    const mapping = { slope: 12, intercept: -6.6 };
+    assert.ok(logistic(mapping, 0.4) < logistic(mapping, 0.6));
+  });
+});
+
+describe("fitLogistic", () => {
+  it("recovers the curve the samples were drawn from", () => {
+    const { slope, intercept } = fitLogistic(
+      sampleCurve({ slope: 10, intercept: -6 }),
+    );
+    close(slope, 10, 0.5);
+    close(intercept, -6, 0.3);
+    close(-intercept / slope, 0.6, 0.01);
+  });
+
+  it("stays finite on separable samples", () => {
+    const samples = [0.1, 0.2, 0.3].map((x) => ({ x, y: 0 }));
+    samples.push(...[0.7, 0.8, 0.9].map((x) => ({ x, y: 1 })));
+    const mapping = fitLogistic(samples);
+    assert.ok(Number.isFinite(mapping.slope) && mapping.slope > 0);
+    assert.ok(Number.isFinite(mapping.intercept));
+    assert.ok(logistic(mapping, 0.9) < 1);
+    assert.ok(logistic(mapping, 0.1) > 0);
+  });
+
+  it("falls back to the base rate without any spread in x", () => {
+    const samples = [
+      { x: 0.5, y: 1 },
+      { x: 0.5, y: 0 },
+      { x: 0.5, y: 0 },
+    ];
+    const mapping = fitLogistic(samples);
+    close(logistic(mapping, 0.5), 1 / 3, 0.1);
+  });
+});
+
+describe("calibrateColor / calibrateText", () => {
+  it("map raw similarities monotonically into (0, 1)", () => {
+    for (const calibrate of [calibrateColor, calibrateText]) {
+      const scores = [0, 0.25, 0.5, 0.75, 1].map((sim) => calibrate(sim));
+      scores.forEach((p) => assert.ok(p > 0 && p < 1));
+      scores.slice(1).forEach((p, i) => assert.ok(p > scores[i]));
+    }
+  });
+});
+
+describe("colorMetricKey", () => {
+  it("joins metric and falloff", () => {
+    assert.equal(
+      colorMetricKey({ metric: "ciede2000", falloff: "gaussian" }),
+      "ciede2000/gaussian",
+    );
+  });
+
+  it("fills in the server defaults", () => {
+    assert.equal(
+      colorMetricKey(),
+      `${DEFAULT_COLOR_METRIC}/${DEFAULT_COLOR_FALLOFF}`,
+    );
+    assert.equal(
+      colorMetricKey({ metric: "cie94" }),
+      `cie94/${DEFAULT_COLOR_FALLOFF}`,
+    );
+  });
+});
+
+describe("readCalibration", () => {
+  const withFile = (config, fn) => {
+    const file = path.join(
+      os.tmpdir(),
+      `score-calibration-${process.pid}-${Date.now()}.json`,
+    );
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+      return fn(file);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  };
+
+  it("reads the bundled file", () => {
+    const config = readCalibration();
+    assert.ok(Number.isFinite(config.color.default.slope));
+    assert.ok(Number.isFinite(config.text.default.intercept));
+  });
+
+  it("rejects a file without default mappings", () => {
+    withFile(
+      { color: {}, text: { default: { slope: 1, intercept: 0 } } },
+      (file) => assert.throws(() => readCalibration(file), /color\.default/),
+    );
+  });
+
+  it("rejects a malformed keyed entry", () => {
+    const mapping = { slope: 1, intercept: 0 };
+    withFile(
+      {
+        color: { default: mapping, metrics: { "cie76/linear": { slope: 1 } } },
+        text: { default: mapping },
+      },
+      (file) => assert.throws(() => readCalibration(file), /color\.metrics/),
+    );
+  });
+});
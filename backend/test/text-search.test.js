@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  MAX_QUERY_LENGTH,
+  highlightPlace,
+  parseSearchQuery,
+  searchTerms,
+} from "../util/text-search.js";
+
+const matches = (segments) =>
+  segments.filter(({ match }) => match).map(({ text }) => text);
+
+const joined = (segments) => segments.map(({ text }) => text).join("");
+
+describe("parseSearchQuery", () => {
+  it("trims the query", () => {
+    assert.equal(parseSearchQuery({ q: "  ramen " }), "ramen");
+  });
+
+  it("rejects missing, blank and overlong queries", () => {
+    for (const q of [
+      undefined,
+      "   ",
+      ["a", "b"],
+      "x".repeat(MAX_QUERY_LENGTH + 1),
+    ]) {
+      assert.throws(
+        () => parseSearchQuery({ q }),
+        (err) => err.code === 422,
+      );
+    }
+  });
+});
+
+describe("searchTerms", () => {
+  it("drops negated words and splits phrases", () => {
+    assert.deepEqual(searchTerms('"night market" -fish ramen'), [
+      "night",
+      "market",
+      "ramen",
+    ]);
+  });
+
+  it("strips possessives, punctuation and one-letter words", () => {
+    assert.deepEqual(searchTerms("Joe's (noodles), a bar!"), [
+      "Joe",
+      "noodles",
+      "bar",
+    ]);
+  });
+});
+
+describe("highlightPlace", () => {
+  const place = {
+    title: "Ramen Alley",
+    address: "Shinjuku, Tokyo",
+    description: "Late-night ramens and markets under neon.",
+  };
+
+  it("marks whole words starting with a term, any case", () => {
+    const highlights = highlightPlace(place, ["ramen", "market"]);
+    assert.deepEqual(matches(highlights.title), ["Ramen"]);
+    assert.deepEqual(matches(highlights.description), ["ramens", "markets"]);
+    assert.deepEqual(matches(highlights.address), []);
+    // segments always add back up to the original text
+    assert.equal(joined(highlights.title), place.title);
+    assert.equal(joined(highlights.description), place.description);
+  });
+
+  it("doesn't match inside words", () => {
+    const highlights = highlightPlace({ ...place, title: "Paramen Gate" }, [
+      "ramen",
+    ]);
+    assert.deepEqual(matches(highlights.title), []);
+  });
+
+  it("treats terms as text, not patterns", () => {
+    const highlights = highlightPlace({ ...place, title: "Axb or A.b" }, [
+      "a.b",
+    ]);
+    assert.deepEqual(matches(highlights.title), ["A.b"]);
+  });
+
+  it("cuts long descriptions to a snippet around the first match", () => {
+    const filler = "quiet street ".repeat(30);
+    const description = `${filler}with a hidden ramen counter ${filler}`;
+    const { description: snippet } = highlightPlace({ ...place, description }, [
+      "ramen",
+    ]);
+    const text = joined(snippet);
+    assert.ok(text.startsWith("…") && text.endsWith("…"));
+    assert.ok(text.length <= 162);
+    assert.deepEqual(matches(snippet), ["ramen"]);
+  });
+
+  it("returns unmarked fields without terms", () => {
+    assert.deepEqual(highlightPlace(place, []).title, [
+      { text: "Ramen Alley", match: false },
+    ]);
+  });
+});
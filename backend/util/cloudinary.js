@@ -10,10 +10,10 @@ cloudinary.config({
 });
 
 // Upload a Buffer to Cloudinary via stream (no temp files needed)
-export const uploadToCloudinary = (buffer) => {
+export const uploadToCloudinary = (buffer, { folder = "wander_mark" } = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
-      { folder: "wander_mark" },
+      { folder },
       (error, result) => {
         if (error) reject(error);
         else resolve(result);
@@ -0,0 +1,74 @@
+/**
+ * Color mood catalog defaults.
+ *
+ * Moods live in the `moods` collection (models/mood.js) so admins can add or
+ * retune them through /api/moods without a frontend deploy. The presets below
+ * are only used to seed an empty collection on startup.
+ */
+import Mood from "../models/mood.js";
+import { hexToLab } from "./color-service.js";
+
+export const DEFAULT_COLOR_MOODS = [
+  {
+    key: "crimson-dusk",
+    label: "Crimson Dusk",
+    swatch: "#E05B4B",
+    colors: ["#E05B4B", "#B83A3A", "#F07B5A"],
+    radius: 25,
+  },
+  {
+    key: "sahara-gold",
+    label: "Sahara Gold",
+    swatch: "#F2A65A",
+    colors: ["#F2A65A", "#D9953F", "#F5C77E"],
+    radius: 25,
+  },
+  {
+    key: "forest-calm",
+    label: "Forest Calm",
+    swatch: "#5A9E72",
+    colors: ["#5A9E72", "#3D6B4A", "#8BBF8F"],
+    radius: 25,
+  },
+  {
+    key: "arctic-blue",
+    label: "Arctic Blue",
+    swatch: "#4A90BF",
+    colors: ["#4A90BF", "#A7CBE0", "#2F6A94"],
+    radius: 25,
+  },
+  {
+    key: "lavender-sky",
+    label: "Lavender Sky",
+    swatch: "#9B6FCC",
+    colors: ["#9B6FCC", "#C3A6E0", "#7A5AA8"],
+    radius: 25,
+  },
+  {
+    key: "obsidian-night",
+    label: "Obsidian Night",
+    swatch: "#2C2C4A",
+    colors: ["#2C2C4A", "#1A1A2A", "#3E3A5C"],
+    radius: 20,
+  },
+];
+
+/**
+ * Insert the default moods when the collection is empty. Existing moods are
+ * never touched, so admin edits survive restarts.
+ */
+export const seedColorMoods = async () => {
+  const existing = await Mood.estimatedDocumentCount();
+  if (existing > 0) return;
+
+  await Mood.insertMany(
+    DEFAULT_COLOR_MOODS.map(({ colors, ...mood }, order) => ({
+      ...mood,
+      centers: colors.map(hexToLab),
+      order,
+    })),
+  );
+  console.log(
+    `[moods] Seeded ${DEFAULT_COLOR_MOODS.length} default color moods.`,
+  );
+};
@@ -0,0 +1,158 @@
+/**
+ * color-query.js
+ *
+ * Builds the query palette for POST /api/places/search/color from whatever
+ * the request supplies:
+ *
+ *   image     one or more uploaded JPG/PNG files (multipart, up to
+ *             MAX_QUERY_IMAGES), kept in memory by memoryUpload
+ *   imageUrl  a public http(s) URL, downloaded into memory
+ *             (util/remote-image.js)
+ *   palette   JSON: ["#E05B4B", "#F2A65A"] or
+ *             [{ "hex": "#E05B4B", "population": 3 }, …]
+ *
+ * Sources can be combined. A single image is used as is; otherwise the
+ * palettes are merged into one by population (mergePalettes), each source
+ * weighing the same. Nothing is written to permanent storage.
+ *
+ * Which color-difference formula the query is compared with comes from the
+ * `metric` and `falloff` query parameters (parseColorMetricQuery).
+ */
+
+import HttpError from "../models/http-error.js";
+import {
+  COLOR_FALLOFFS,
+  DEFAULT_COLOR_FALLOFF,
+  DEFAULT_COLOR_METRIC,
+  DELTA_E_METRICS,
+  colorDataFromSwatches,
+  extractPalette,
+  hexToRgb,
+  mergePalettes,
+} from "./color-service.js";
+import { fetchRemoteImage } from "./remote-image.js";
+
+export const MAX_QUERY_IMAGES = 5;
+// Same cap as an analyzed image (extractPalette)
+const MAX_PALETTE_COLORS = 5;
+
+const paletteError = () =>
+  new HttpError(
+    'palette must be a JSON array of hex colors, e.g. ["#E05B4B", "#F2A65A"], or of { hex, population } objects.',
+    422,
+  );
+
+/**
+ * Swatches from a `palette` field: a JSON string (multipart forms) or an
+ * already parsed array (JSON bodies). Plain hex colors weigh the same.
+ *
+ * @param {string|Array} value
+ * @returns {Array} [{ hex, rgb, population }], largest population first
+ * @throws {HttpError} 422 for malformed palettes
+ */
+export const parsePaletteInput = (value) => {
+  let entries = value;
+  if (typeof value === "string") {
+    try {
+      entries = JSON.parse(value);
+    } catch (err) {
+      throw paletteError();
+    }
+  }
+  if (!Array.isArray(entries) || entries.length === 0) throw paletteError();
+  if (entries.length > MAX_PALETTE_COLORS) {
+    throw new HttpError(
+      `palette can have at most ${MAX_PALETTE_COLORS} colors.`,
+      422,
+    );
+  }
+
+  return entries
+    .map((entry) => {
+      const { hex, population = 1 } =
+        typeof entry === "string" ? { hex: entry } : (entry ?? {});
+      const rgb = hexToRgb(hex);
+      if (!rgb || !(typeof population === "number" && population > 0)) {
+        throw paletteError();
+      }
+      return {
+        hex: `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`,
+        rgb,
+        population,
+      };
+    })
+    .sort((a, b) => b.population - a.population);
+};
+
+/**
+ * The query's color data, shaped like analyzeImageColor's result, or null
+ * when the request has no color input or no palette could be extracted.
+ *
+ * @param {{ files?: Object[], imageUrl?: string, palette?: string|Array }} input
+ *   files are multer memory uploads (req.files)
+ * @returns {Promise<Object|null>}
+ * @throws {HttpError} 422 for malformed input, 502 when imageUrl can't be
+ *   fetched
+ */
+export const buildQueryColorData = async ({
+  files = [],
+  imageUrl,
+  palette,
+}) => {
+  if (files.length > MAX_QUERY_IMAGES) {
+    throw new HttpError(
+      `Search with at most ${MAX_QUERY_IMAGES} images at a time.`,
+      422,
+    );
+  }
+
+  const paletteSwatches =
+    palette !== undefined && palette !== "" ? parsePaletteInput(palette) : null;
+
+  const buffers = files.map((file) => file.buffer);
+  if (imageUrl) buffers.push(await fetchRemoteImage(imageUrl));
+
+  const palettes = [
+    ...(await Promise.all(buffers.map(extractPalette))),
+    paletteSwatches,
+  ].filter(Boolean);
+
+  if (palettes.length === 0) return null;
+  // A lone image keeps its own pixel counts; a palette's populations are
+  // only relative, so it is scaled like a merge
+  return colorDataFromSwatches(
+    palettes.length === 1 && !paletteSwatches
+      ? palettes[0]
+      : mergePalettes(palettes),
+  );
+};
+
+/**
+ * Color-difference options from the query string, for comparing ranking
+ * quality between formulas:
+ *   metric=cie76|cie94|ciede2000
+ *   falloff=linear|gaussian|exponential
+ * Defaults are the server's (COLOR_DELTA_E / COLOR_FALLOFF, else CIE76 and
+ * linear).
+ *
+ * @param {Object} query - req.query
+ * @returns {{ metric: string, falloff: string }}
+ * @throws {HttpError} 422 for unknown names
+ */
+export const parseColorMetricQuery = (query) => {
+  const metric = query.metric ?? DEFAULT_COLOR_METRIC;
+  const falloff = query.falloff ?? DEFAULT_COLOR_FALLOFF;
+  if (!Object.hasOwn(DELTA_E_METRICS, metric)) {
+    throw new HttpError(
+      `metric must be one of: ${Object.keys(DELTA_E_METRICS).join(", ")}.`,
+      422,
+    );
+  }
+  if (!Object.hasOwn(COLOR_FALLOFFS, falloff)) {
+    throw new HttpError(
+      `falloff must be one of: ${Object.keys(COLOR_FALLOFFS).join(", ")}.`,
+      422,
+    );
+  }
+  return { metric, falloff };
+};
@@ -6,25 +6,55 @@
  *  2. RGB → CIELAB 色彩空间转换（感知均匀，适合相似度计算）
  *  3. 构建 15 维归一化 Lab 向量
  *  4. 判断图片色彩是否足够显著（isColorful）
- *  5. 生成描述文字的语义 embedding（OpenAI text-embedding-3-small）
+ *  5. 生成描述文字的语义 embedding（可插拔 provider：OpenAI / 本地 hashing / mock）
  *
  * 设计原则：所有函数静默失败，返回 null 而不是抛错，
  * 确保颜色分析失败不会影响 createPlace 主流程。
  */
 
+import dotenv from "dotenv";
 import OpenAI from "openai";
 import { Vibrant } from "node-vibrant/node";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+dotenv.config();
+
+// ─── 0. 算法版本 ──────────────────────────────────────────────────
+
+/**
+ * 写入 place 的每个 colorVector / textEmbedding 都会记录生成它的版本，
+ * 搜索时只比较同一版本产出的向量。
+ *
+ * 修改 extractPalette / rgbToLab / buildColorVector / checkIsColorful 的
+ * 任何行为时，必须把 COLOR_ALGORITHM_VERSION 加 1。embedding 的版本由
+ * provider 的 model + dimensions 决定（见第 7 节）。旧文档会被
+ * util/vector-migration.js 在后台重新计算。
+ */
+export const COLOR_ALGORITHM_VERSION = 1;
+
+// 版本字段出现之前写入的文档没有记录版本，它们都由 v1 算法生成
+export const LEGACY_COLOR_ALGORITHM_VERSION = 1;
+
+/**
+ * place 的色彩数据是否由当前算法版本生成。
+ *
+ * @param {Object} place
+ * @returns {boolean}
+ */
+export function isColorDataCurrent(place) {
+  return (
+    (place.colorAlgorithmVersion ?? LEGACY_COLOR_ALGORITHM_VERSION) ===
+    COLOR_ALGORITHM_VERSION
+  );
+}
 
 // ─── 1. 调色板提取 ────────────────────────────────────────────────
 
 /**
- * 从图片 URL 提取最多 5 个主色。
+ * 从图片提取最多 5 个主色。
  * node-vibrant 内置 6 个色块槽位（Vibrant / DarkVibrant / LightVibrant /
  * Muted / DarkMuted / LightMuted），过滤掉 null 后按 population 降序排序。
  *
- * @param {string} imageUrl - Cloudinary 图片 URL
+ * @param {string|Buffer} imageUrl - 图片 URL、本地路径或内存中的 Buffer
  * @returns {Array|null} swatches 数组，或提取失败时返回 null
  */
 export async function extractPalette(imageUrl) {
@@ -185,7 +215,7 @@ export function checkIsColorful(swatches, colorVector) {
  * 完整的色彩分析 pipeline 入口。
  * 被 places-controller.js 异步调用，失败时返回 null 不抛错。
  *
- * @param {string} imageUrl - Cloudinary 图片 URL
+ * @param {string|Buffer} imageUrl - 图片 URL、本地路径或内存中的 Buffer
  * @returns {Object|null} 分析结果，或失败时返回 null
  */
 export async function analyzeImageColor(imageUrl) {
@@ -197,50 +227,130 @@ export async function analyzeImageColor(imageUrl) {
       return null;
     }
 
-    // 转换为 Lab 并附加到 palette 数据
-    const paletteWithLab = swatches.map((s) => ({
-      ...s,
-      lab: rgbToLab(...s.rgb),
-    }));
-
-    // 构建 15 维向量
-    const colorVector = buildColorVector(swatches);
-
-    // 判断显著性
-    const isColorful = checkIsColorful(swatches, colorVector);
-
-    return {
-      colorPalette: paletteWithLab,
-      colorVector,
-      isColorful,
-      colorAnalyzedAt: new Date(),
-    };
+    return colorDataFromSwatches(swatches);
   } catch (err) {
     console.error("[color-service] analyzeImageColor failed:", err.message);
     return null;
   }
 }
 
-// 用 ΔE 调色板匹配：对 A 里每个颜色，找 B 里最近的颜色，按 population 加权
-export function colorPaletteSimilarity(paletteA, paletteB) {
+/**
+ * 由 swatches 生成和 analyzeImageColor 相同结构的色彩数据：
+ * 附加 Lab、构建 15 维向量、判断 isColorful。
+ * 搜索时的调色板 JSON 和多图合并结果也走这里，保证和入库数据可比较。
+ *
+ * @param {Array} swatches - [{ hex, rgb, population }]，按 population 降序
+ * @returns {Object} { colorPalette, colorVector, isColorful, ... }
+ */
+export function colorDataFromSwatches(swatches) {
+  // 转换为 Lab 并附加到 palette 数据
+  const paletteWithLab = swatches.map((s) => ({
+    ...s,
+    lab: rgbToLab(...s.rgb),
+  }));
+
+  // 构建 15 维向量
+  const colorVector = buildColorVector(swatches);
+
+  // 判断显著性
+  const isColorful = checkIsColorful(swatches, colorVector);
+
+  return {
+    colorPalette: paletteWithLab,
+    colorVector,
+    isColorful,
+    colorAnalyzedAt: new Date(),
+    colorAlgorithmVersion: COLOR_ALGORITHM_VERSION,
+  };
+}
+
+// 合并后的 population 总和：各图占比换算成整数，
+// 远高于 checkIsColorful 的最小 population 门槛
+const MERGED_POPULATION_TOTAL = 10000;
+
+/**
+ * 把多张图的调色板按 population 合并成一个查询调色板。
+ *
+ * 每张图先把 population 归一化成占比，所以大图不会压过小图，
+ * 默认每张图对合并结果的贡献相同；传 weights 时按权重分配
+ * （relevance feedback 用它让原查询和正例各占不同比例）。
+ * ΔE 小于 mergeDeltaE 的色块视为同一个颜色，population 相加、
+ * 保留占比更大的那个色值。最后取前 maxColors 个。
+ *
+ * @param {Array[]} palettes - 多个 swatches 数组（需要 hex、rgb、population）
+ * @param {{ maxColors?: number, mergeDeltaE?: number, weights?: number[] }}
+ *   [options] - weights 与 palettes 一一对应，默认全为 1
+ * @returns {Array} 合并后的 swatches，按 population 降序
+ */
+export function mergePalettes(
+  palettes,
+  { maxColors = 5, mergeDeltaE = 10, weights } = {},
+) {
+  const sources = palettes
+    .map((palette, i) => ({ palette, weight: weights?.[i] ?? 1 }))
+    .filter(({ palette, weight }) => palette?.length && weight > 0);
+  const totalWeight = sources.reduce((sum, { weight }) => sum + weight, 0);
+
+  const weighted = sources
+    .flatMap(({ palette, weight }) => {
+      const total = palette.reduce((sum, s) => sum + s.population, 0);
+      return palette.map((s) => ({
+        ...s,
+        share:
+          ((total > 0 ? s.population / total : 1 / palette.length) * weight) /
+          totalWeight,
+        lab: rgbToLab(...s.rgb),
+      }));
+    })
+    .sort((a, b) => b.share - a.share);
+
+  const merged = [];
+  for (const swatch of weighted) {
+    const same = merged.find((m) => deltaE(m.lab, swatch.lab) < mergeDeltaE);
+    if (same) same.share += swatch.share;
+    else merged.push({ ...swatch });
+  }
+
+  return merged
+    .sort((a, b) => b.share - a.share)
+    .slice(0, maxColors)
+    .map(({ hex, rgb, share }) => ({
+      hex,
+      rgb,
+      population: Math.round(share * MERGED_POPULATION_TOTAL),
+    }));
+}
+
+/**
+ * 用 ΔE 调色板匹配：对 A 里每个颜色，找 B 里最近的颜色，按 population 加权。
+ *
+ * 默认 CIE76 + 线性衰减（ΔE=0 → 1.0，ΔE=100 → 0.0），和引入可选色差
+ * 公式之前的结果完全一致；metric / falloff 见第 6 节的
+ * DELTA_E_METRICS / COLOR_FALLOFFS。
+ *
+ * @param {Array} paletteA - 查询调色板（需要 lab 和 population）
+ * @param {Array} paletteB
+ * @param {{ metric?: string, falloff?: string }} [options]
+ * @returns {number} 0-1
+ */
+export function colorPaletteSimilarity(
+  paletteA,
+  paletteB,
+  { metric = DEFAULT_COLOR_METRIC, falloff = DEFAULT_COLOR_FALLOFF } = {},
+) {
   if (!paletteA?.length || !paletteB?.length) return 0;
 
+  const difference = DELTA_E_METRICS[metric];
+  const toSimilarity = COLOR_FALLOFFS[falloff];
   let totalSim = 0;
   let totalWeight = 0;
 
   for (const swatchA of paletteA) {
-    const [L1, a1, b1] = swatchA.lab;
     let bestSim = 0;
 
     for (const swatchB of paletteB) {
-      const [L2, a2, b2] = swatchB.lab;
-      // ΔE：CIELAB 欧氏距离，就是人眼感知到的颜色差异
-      const deltaE = Math.sqrt(
-        (L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2,
-      );
-      // 转换为相似度：ΔE=0 → 1.0，ΔE=100 → 0.0
-      // ΔE > 100 在实际中极罕见（Lab 空间最大约 140），截断到 0
-      const sim = Math.max(0, 1 - deltaE / 100);
+      // A 是参考色：CIE94 不对称，以查询色为基准
+      const sim = toSimilarity(difference(swatchA.lab, swatchB.lab));
       if (sim > bestSim) bestSim = sim;
     }
 
@@ -329,10 +439,484 @@ export function pairAdaptiveWeights(
   }
 }
 
+// ─── 6. Hex 色值过滤（mood filter）──────────────────────────────────
+
+/**
+ * 解析 hex 色值，支持 "#RGB" / "RGB" / "#RRGGBB" / "RRGGBB"。
+ *
+ * @param {string} hex
+ * @returns {[number, number, number]|null} [r, g, b]，格式非法时返回 null
+ */
+export function hexToRgb(hex) {
+  if (typeof hex !== "string") return null;
+  let value = hex.trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(value)) {
+    value = value
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+
+  return [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16));
+}
+
+/**
+ * hex → CIELAB，非法输入返回 null。
+ *
+ * @param {string} hex
+ * @returns {[number, number, number]|null}
+ */
+export function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToLab(...rgb) : null;
+}
+
+/**
+ * CIE76 色差：两个 Lab 点之间的欧氏距离。
+ *
+ * 计算最便宜，但 Lab 并非完全感知均匀：高饱和的蓝色、黄色区域 CIE76
+ * 会高估色差，需要更准时用 deltaE94 / deltaE2000。
+ *
+ * @param {number[]} labA
+ * @param {number[]} labB
+ * @returns {number}
+ */
+export function deltaE(labA, labB) {
+  const [L1, a1, b1] = labA;
+  const [L2, a2, b2] = labB;
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * CIE94 色差（graphic arts 参数：kL=1, K1=0.045, K2=0.015）。
+ *
+ * 按参考色的彩度缩放彩度差和色相差，修正了 CIE76 对高饱和色的高估。
+ * 公式不对称：labA 是参考色（查询色）。
+ *
+ * @param {number[]} labA - 参考色
+ * @param {number[]} labB
+ * @returns {number}
+ */
+export function deltaE94(labA, labB) {
+  const [L1, a1, b1] = labA;
+  const [L2, a2, b2] = labB;
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const dL = L1 - L2;
+  const dC = C1 - C2;
+  // ΔH² = Δa² + Δb² − ΔC²，浮点误差可能让它略小于 0
+  const dH2 = Math.max(0, (a1 - a2) ** 2 + (b1 - b2) ** 2 - dC ** 2);
+  const SC = 1 + 0.045 * C1;
+  const SH = 1 + 0.015 * C1;
+  return Math.sqrt(dL ** 2 + (dC / SC) ** 2 + dH2 / SH ** 2);
+}
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const hueAngle = (b, a) => {
+  if (a === 0 && b === 0) return 0;
+  const h = (Math.atan2(b, a) * 180) / Math.PI;
+  return h >= 0 ? h : h + 360;
+};
+
+/**
+ * CIEDE2000 色差（kL = kC = kH = 1），按 Sharma, Wu & Dalal (2005) 实现。
+ *
+ * 在 CIE94 基础上加了明度权重、蓝色区域的色相旋转项（R_T）和
+ * 低彩度下的 a* 修正，是目前最接近人眼判断的标准公式。对称。
+ *
+ * @param {number[]} labA
+ * @param {number[]} labB
+ * @returns {number}
+ */
+export function deltaE2000(labA, labB) {
+  const [L1, a1, b1] = labA;
+  const [L2, a2, b2] = labB;
+
+  // a* 修正：低彩度颜色的 a* 轴被拉伸
+  const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const Cbar7 = Cbar ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  // 明度、彩度、色相差
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  // 平均值，色相取圆周上的平均
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else if (hbarp < 360) hbarp = (hbarp + 360) / 2;
+    else hbarp = (hbarp - 360) / 2;
+  }
+
+  // 权重函数
+  const T =
+    1 -
+    0.17 * Math.cos(toRadians(hbarp - 30)) +
+    0.24 * Math.cos(toRadians(2 * hbarp)) +
+    0.32 * Math.cos(toRadians(3 * hbarp + 6)) -
+    0.2 * Math.cos(toRadians(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const SL =
+    1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  // 蓝色区域（h ≈ 275°）的彩度差和色相差相互作用
+  const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+  return Math.sqrt(
+    (dLp / SL) ** 2 +
+      (dCp / SC) ** 2 +
+      (dHp / SH) ** 2 +
+      RT * (dCp / SC) * (dHp / SH),
+  );
+}
+
+/**
+ * 可选的色差公式，key 即搜索接口的 metric 参数。
+ */
+export const DELTA_E_METRICS = {
+  cie76: deltaE,
+  cie94: deltaE94,
+  ciede2000: deltaE2000,
+};
+
+/**
+ * ΔE → 相似度 [0, 1] 的衰减曲线，key 即搜索接口的 falloff 参数。
+ *
+ *   linear       1 − ΔE/100，ΔE ≥ 100 为 0（原有行为）
+ *   gaussian     exp(−ΔE² / 2σ²)，σ = 25：小色差几乎不扣分，之后快速下降
+ *   exponential  exp(−ΔE / 25)：一开始就扣分，长尾
+ *
+ * ΔE ≈ 2.3 是人眼刚能分辨的差异；ΔE2000 / ΔE94 的数值普遍小于 CIE76，
+ * 同一条曲线配不同公式时分数分布会不同，所以校准曲线按 metric/falloff
+ * 分别拟合（util/score-calibration.js）。
+ */
+export const COLOR_FALLOFFS = {
+  linear: (dE) => Math.max(0, 1 - dE / 100),
+  gaussian: (dE) => Math.exp(-(dE ** 2) / (2 * 25 ** 2)),
+  exponential: (dE) => Math.exp(-dE / 25),
+};
+
+// 服务端默认值，可用环境变量切换；非法值回退到 CIE76 + 线性
+export const DEFAULT_COLOR_METRIC = Object.hasOwn(
+  DELTA_E_METRICS,
+  process.env.COLOR_DELTA_E ?? "",
+)
+  ? process.env.COLOR_DELTA_E
+  : "cie76";
+export const DEFAULT_COLOR_FALLOFF = Object.hasOwn(
+  COLOR_FALLOFFS,
+  process.env.COLOR_FALLOFF ?? "",
+)
+  ? process.env.COLOR_FALLOFF
+  : "linear";
+
+/**
+ * 计算一个调色板落在目标颜色 ΔE 容差范围内的程度。
+ *
+ * 对调色板里每个色块，找最近的目标色：
+ *   ΔE = 0          → 1.0
+ *   ΔE >= tolerance → 0.0（不计入）
+ * 然后按 population 加权平均，所以「画面大面积是这个颜色」的地点
+ * 比「只有一小块这个颜色」的地点得分更高。
+ *
+ * @param {Array} palette - place.colorPalette（需要 lab 和 population）
+ * @param {number[][]} targetLabs - 查询颜色的 Lab 值
+ * @param {number} tolerance - ΔE 容差
+ * @returns {{ score: number, matchedColors: string[] }}
+ */
+export function paletteMatchScore(palette, targetLabs, tolerance) {
+  if (!palette?.length || !targetLabs?.length || !(tolerance > 0)) {
+    return { score: 0, matchedColors: [] };
+  }
+
+  let totalMatch = 0;
+  let totalWeight = 0;
+  const matchedColors = [];
+
+  for (const swatch of palette) {
+    if (!swatch.lab?.length) continue;
+    const population = swatch.population ?? 0;
+    const closest = Math.min(...targetLabs.map((t) => deltaE(swatch.lab, t)));
+
+    if (closest < tolerance) {
+      totalMatch += (1 - closest / tolerance) * population;
+      matchedColors.push(swatch.hex);
+    }
+    totalWeight += population;
+  }
+
+  return {
+    score: totalWeight > 0 ? totalMatch / totalWeight : 0,
+    matchedColors,
+  };
+}
+
+/**
+ * paletteMatchScore 的分数是否算命中：必须至少有一个色块落在容差内
+ * （score > 0），再达到 minScore。minScore = 0 时也不会把毫不相关的
+ * 地点算进去。filterByColor 的结果和 GET /api/moods 的计数共用此规则。
+ *
+ * @param {number} score
+ * @param {number} minScore
+ * @returns {boolean}
+ */
+export function isPaletteMatch(score, minScore) {
+  return score > 0 && score >= minScore;
+}
+
 // ─── 7. Text Embedding（Phase 2）─────────────────────────────────
 
 /**
- * 把 place 的文字信息转换为 1536 维语义向量。
+ * Embedding provider 接口：
+ *   name         provider id（"openai" | "local" | "mock"），记录在文档上
+ *   model        生成向量的模型标识，模型或其算法变化时必须改变
+ *   dimensions   输出向量维度
+ *   embed(text)  → Promise<number[]|null>
+ *
+ * 由环境变量选择：
+ *   EMBEDDING_PROVIDER    openai | local | mock
+ *                         （默认：有 OPENAI_API_KEY 时 openai，否则 local）
+ *   EMBEDDING_DIMENSIONS  覆盖默认维度（openai 1536，local 512，mock 64）
+ *   OPENAI_EMBEDDING_MODEL  默认 text-embedding-3-small
+ *
+ * 不同 provider / 维度产出的向量不可比较：每个 place 记录 embeddingProvider、
+ * embeddingModel、embeddingDimensions，切换配置后旧向量会被
+ * util/vector-migration.js 重新计算。
+ */
+
+// text-embedding-3-* 支持通过 dimensions 参数截断输出
+const OPENAI_MODEL_DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+};
+
+function createOpenAIEmbeddingProvider({ dimensions } = {}) {
+  const model = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+  const nativeDimensions = OPENAI_MODEL_DIMENSIONS[model] ?? 1536;
+  const outputDimensions = dimensions ?? nativeDimensions;
+
+  // 延迟创建 client：没有 API key 的环境 import 本模块不会出错
+  let client = null;
+
+  return {
+    name: "openai",
+    model,
+    dimensions: outputDimensions,
+    async embed(text) {
+      client ??= new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const response = await client.embeddings.create({
+        model,
+        input: text,
+        encoding_format: "float",
+        ...(outputDimensions !== nativeDimensions && {
+          dimensions: outputDimensions,
+        }),
+      });
+      return response.data[0].embedding;
+    },
+  };
+}
+
+// 32-bit FNV-1a，local / mock provider 用来做确定性的 feature hashing
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function l2Normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+  return vector.map((v) => v / norm);
+}
+
+const LOCAL_STOP_WORDS = new Set(
+  (
+    "a an and are as at be by for from has in is it its located of on or " +
+    "that the this to was were with"
+  ).split(" "),
+);
+
+// 中日文没有空格分词：每个汉字 / 假名单独成 token，再由 bigram 组成词
+const CJK = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}";
+const TOKEN_RE = new RegExp(`[${CJK}]|(?:(?![${CJK}])[\\p{L}\\p{N}])+`, "gu");
+
+function tokenize(text) {
+  return (text.normalize("NFKC").toLowerCase().match(TOKEN_RE) ?? []).filter(
+    (token) => !LOCAL_STOP_WORDS.has(token),
+  );
+}
+
+/**
+ * 离线 hashing vectorizer，不依赖任何外部服务，相同输入永远得到相同向量。
+ *
+ * 特征：unigram（权重 1）+ 相邻 bigram（0.5）+ 词内 char trigram（0.25），
+ * 词频取 1 + log(tf) 做次线性缩放。每个特征 hash 到一个维度，再用第二个
+ * hash 决定符号，让碰撞的特征互相抵消而不是累加。最后 L2 归一化。
+ *
+ * 语义能力远不如 OpenAI，但能匹配共同的词和词形变化
+ * （"neon" / "neons"），足够让开发和测试环境的文字搜索可用。
+ * 修改分词或特征规则时必须更新 model 版本号。
+ */
+function createLocalEmbeddingProvider({ dimensions = 512 } = {}) {
+  const featureWeights = (tokens) => {
+    const weights = new Map();
+    const add = (feature, weight) =>
+      weights.set(feature, (weights.get(feature) ?? 0) + weight);
+
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]} ${token}`, 0.5);
+      if (token.length > 3) {
+        const padded = `<${token}>`;
+        for (let j = 0; j + 3 <= padded.length; j++) {
+          add(`c:${padded.slice(j, j + 3)}`, 0.25);
+        }
+      }
+    });
+    return weights;
+  };
+
+  return {
+    name: "local",
+    model: "local-hashing-v1",
+    dimensions,
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      for (const [feature, tf] of featureWeights(tokenize(text))) {
+        const index = fnv1a(feature) % dimensions;
+        const sign = fnv1a(`~${feature}`) & 1 ? -1 : 1;
+        vector[index] += sign * (1 + Math.log(tf));
+      }
+      return l2Normalize(vector);
+    },
+  };
+}
+
+/**
+ * 测试用 provider：由文本 hash 播种的伪随机单位向量。完全确定，但没有
+ * 任何语义——只有完全相同的文本相似度为 1。
+ */
+function createMockEmbeddingProvider({ dimensions = 64 } = {}) {
+  return {
+    name: "mock",
+    model: "mock-v1",
+    dimensions,
+    async embed(text) {
+      // mulberry32
+      let seed = fnv1a(text);
+      const random = () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+      return l2Normalize(
+        Array.from({ length: dimensions }, () => random() * 2 - 1),
+      );
+    },
+  };
+}
+
+const EMBEDDING_PROVIDER_FACTORIES = {
+  openai: createOpenAIEmbeddingProvider,
+  local: createLocalEmbeddingProvider,
+  mock: createMockEmbeddingProvider,
+};
+
+/**
+ * 按名字创建 embedding provider。
+ *
+ * @param {string} name - "openai" | "local" | "mock"
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - 不传则用 provider 的默认维度
+ */
+export function createEmbeddingProvider(name, { dimensions } = {}) {
+  const factory = EMBEDDING_PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown EMBEDDING_PROVIDER "${name}". ` +
+        `Expected one of: ${Object.keys(EMBEDDING_PROVIDER_FACTORIES).join(", ")}.`,
+    );
+  }
+  if (
+    dimensions !== undefined &&
+    !(Number.isInteger(dimensions) && dimensions > 0)
+  ) {
+    throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+  }
+  return factory(dimensions === undefined ? {} : { dimensions });
+}
+
+// 没有显式指定 EMBEDDING_PROVIDER、只是因为缺少 OPENAI_API_KEY 才落到 local。
+// 这往往是部署配置出错，启动时的 migration 不会因此重新 embed 所有文档
+export const EMBEDDING_PROVIDER_FALLBACK =
+  !process.env.EMBEDDING_PROVIDER && !process.env.OPENAI_API_KEY;
+
+export const embeddingProvider = createEmbeddingProvider(
+  process.env.EMBEDDING_PROVIDER ||
+    (process.env.OPENAI_API_KEY ? "openai" : "local"),
+  {
+    dimensions: process.env.EMBEDDING_DIMENSIONS
+      ? Number(process.env.EMBEDDING_DIMENSIONS)
+      : undefined,
+  },
+);
+
+export const EMBEDDING_PROVIDER = embeddingProvider.name;
+export const EMBEDDING_MODEL = embeddingProvider.model;
+export const EMBEDDING_DIMENSIONS = embeddingProvider.dimensions;
+
+// 版本字段出现之前的文档都由 OpenAI text-embedding-3-small（1536 维）生成
+export const LEGACY_EMBEDDING_PROVIDER = "openai";
+export const LEGACY_EMBEDDING_MODEL = "text-embedding-3-small";
+export const LEGACY_EMBEDDING_DIMENSIONS = 1536;
+
+/**
+ * place 的 textEmbedding 是否由当前 provider 配置生成（provider、模型和维度
+ * 都一致）。
+ *
+ * @param {Object} place
+ * @returns {boolean}
+ */
+export function isEmbeddingCurrent(place) {
+  return (
+    (place.embeddingProvider ?? LEGACY_EMBEDDING_PROVIDER) ===
+      EMBEDDING_PROVIDER &&
+    (place.embeddingModel ?? LEGACY_EMBEDDING_MODEL) === EMBEDDING_MODEL &&
+    (place.embeddingDimensions ?? LEGACY_EMBEDDING_DIMENSIONS) ===
+      EMBEDDING_DIMENSIONS
+  );
+}
+
+/**
+ * 把 place 的文字信息转换为语义向量（维度见 EMBEDDING_DIMENSIONS）。
  *
  * 为什么要做文字 embedding：
  *  - 色彩向量是 pixel-level 特征，无法区分"东京霓虹街道"和"拉斯维加斯赌场"
@@ -344,7 +928,7 @@ export function pairAdaptiveWeights(
  *  拼接 title + address + description，给 address 一定权重是因为
  *  地理信息（"Tokyo neon alley"）本身就携带视觉语义。
  *
- * 模型选择：text-embedding-3-small（1536 维）
+ * 生产环境推荐 openai provider（text-embedding-3-small）：
  *  - 比 ada-002 更准确，成本更低
  *  - 1536 维对于 cosine similarity 来说精度足够
  *
@@ -352,7 +936,7 @@ export function pairAdaptiveWeights(
  * @param {string} params.title
  * @param {string} params.description
  * @param {string} params.address
- * @returns {number[]|null} 1536 维向量，失败时返回 null
+ * @returns {number[]|null} embedding 向量，失败时返回 null
  */
 export async function generateTextEmbedding({ title, description, address }) {
   // 构造语义密度高的输入文本
@@ -370,16 +954,16 @@ export async function generateTextEmbedding({ title, description, address }) {
   }
 
   try {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: inputText,
-      encoding_format: "float",
-    });
-
-    const vector = response.data[0].embedding;
+    const vector = await embeddingProvider.embed(inputText);
+    if (!vector) {
+      console.log(
+        "[color-service] generateTextEmbedding: no features extracted, skipping.",
+      );
+      return null;
+    }
 
     console.log(
-      `[color-service] Text embedding generated. ` +
+      `[color-service] Text embedding generated (${EMBEDDING_PROVIDER}). ` +
         `dims=${vector.length}, input="${inputText.slice(0, 60)}..."`,
     );
 
@@ -390,3 +974,26 @@ export async function generateTextEmbedding({ title, description, address }) {
     return null;
   }
 }
+
+/**
+ * 两个向量的余弦相似度，维度不同或任一为零向量时返回 0。
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  const denom = Math.sqrt(normA) * Math.sqrt(normB);
+  return denom > 0 ? dot / denom : 0;
+}
@@ -0,0 +1,337 @@
+/**
+ * exif.js
+ *
+ * Minimal EXIF reader / scrubber for uploaded JPEG and PNG photos. Only the
+ * tags the upload pipeline uses are decoded:
+ *   GPSLatitude / GPSLongitude (+ Ref)        → coordinates
+ *   DateTimeOriginal (+ OffsetTimeOriginal)   → capturedAt
+ *   Orientation                               → orientation (1–8)
+ *
+ * stripLocation() returns a copy of the image with the GPS IFD blanked and
+ * XMP packets (which can repeat the location) removed. The rest of the EXIF
+ * block, Orientation included, is kept so browsers still show the photo
+ * upright. PNG `eXIf` chunks can't be edited without recomputing their CRC,
+ * so they are dropped whole.
+ *
+ * Malformed metadata never fails an upload: reading returns empty metadata
+ * and stripping drops an EXIF block it can't parse.
+ */
+
+const JPEG_SOI = 0xffd8;
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const XMP_HEADERS = [
+  Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1"),
+  Buffer.from("http://ns.adobe.com/xmp/extension/\0", "latin1"),
+];
+const PNG_XMP_KEYWORD = Buffer.from("XML:com.adobe.xmp\0", "latin1");
+
+const TAG = {
+  ORIENTATION: 0x0112,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+};
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EMPTY_METADATA = {
+  coordinates: null,
+  capturedAt: null,
+  orientation: null,
+};
+
+// ─── 1. Container formats ─────────────────────────────────────────────────
+
+/**
+ * Split a JPEG into its header segments, up to the start of the image data.
+ * Each segment: { marker, start, end, data } with `end` exclusive.
+ */
+const jpegSegments = (buffer) => {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // SOS (image data) and EOI end the header; everything after is copied as is
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) break;
+    segments.push({
+      marker,
+      start: offset,
+      end,
+      data: buffer.subarray(offset + 4, end),
+    });
+    offset = end;
+  }
+  return { segments, headerEnd: offset };
+};
+
+// Each chunk: { type, start, end, data } with `end` exclusive (CRC included)
+const pngChunks = (buffer) => {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+    chunks.push({
+      type,
+      start: offset,
+      end,
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+    });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+};
+
+const isJpeg = (buffer) =>
+  buffer.length > 4 && buffer.readUInt16BE(0) === JPEG_SOI;
+
+const isPng = (buffer) =>
+  buffer.length > PNG_SIGNATURE.length &&
+  buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+
+const startsWith = (data, prefix) =>
+  data.length >= prefix.length &&
+  data.subarray(0, prefix.length).equals(prefix);
+
+const isExifSegment = ({ marker, data }) =>
+  marker === 0xe1 && startsWith(data, EXIF_HEADER);
+
+const isXmpSegment = ({ marker, data }) =>
+  marker === 0xe1 && XMP_HEADERS.some((header) => startsWith(data, header));
+
+// The TIFF structure holding the EXIF tags, or null
+const findTiff = (buffer) => {
+  if (isJpeg(buffer)) {
+    const exif = jpegSegments(buffer).segments.find(isExifSegment);
+    return exif ? exif.data.subarray(EXIF_HEADER.length) : null;
+  }
+  if (isPng(buffer)) {
+    return pngChunks(buffer).find(({ type }) => type === "eXIf")?.data ?? null;
+  }
+  return null;
+};
+
+// ─── 2. TIFF / IFD parsing ────────────────────────────────────────────────
+
+const createReader = (tiff) => {
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") throw new Error("Not a TIFF header");
+  const little = order === "II";
+
+  const check = (offset, size) => {
+    if (offset < 0 || offset + size > tiff.length) {
+      throw new Error("EXIF offset out of range");
+    }
+  };
+  const u16 = (offset) => {
+    check(offset, 2);
+    return little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  };
+  const u32 = (offset) => {
+    check(offset, 4);
+    return little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  };
+
+  if (u16(2) !== 42) throw new Error("Not a TIFF header");
+
+  /**
+   * Entries of the IFD at `offset`: tag → { type, count, valueOffset, size }.
+   * `valueOffset` already follows the pointer for values over 4 bytes.
+   */
+  const readIfd = (offset) => {
+    const entries = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = (TYPE_SIZES[type] ?? 1) * valueCount;
+      const valueOffset = size > 4 ? u32(entry + 8) : entry + 8;
+      check(valueOffset, size);
+      entries.set(u16(entry), { type, count: valueCount, valueOffset, size });
+    }
+    return { count, entries };
+  };
+
+  const ascii = (entry) =>
+    entry &&
+    tiff
+      .toString("latin1", entry.valueOffset, entry.valueOffset + entry.size)
+      .replace(/\0+$/, "")
+      .trim();
+
+  const rationals = (entry) => {
+    if (!entry || entry.type !== 5) return null;
+    return Array.from({ length: entry.count }, (_, i) => {
+      const denominator = u32(entry.valueOffset + i * 8 + 4);
+      return denominator ? u32(entry.valueOffset + i * 8) / denominator : 0;
+    });
+  };
+
+  const short = (entry) => (entry?.type === 3 ? u16(entry.valueOffset) : null);
+  const long = (entry) => (entry ? u32(entry.valueOffset) : null);
+
+  return { u16, u32, readIfd, ascii, rationals, short, long, ifd0: u32(4) };
+};
+
+// ─── 3. Tag decoding ──────────────────────────────────────────────────────
+
+const toDegrees = (dms, ref) => {
+  if (!dms || dms.length < 3) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === "S" || ref === "W" ? -value : value;
+};
+
+const readCoordinates = (reader, gps) => {
+  const lat = toDegrees(
+    reader.rationals(gps.get(TAG.GPS_LATITUDE)),
+    reader.ascii(gps.get(TAG.GPS_LATITUDE_REF)),
+  );
+  const lng = toDegrees(
+    reader.rationals(gps.get(TAG.GPS_LONGITUDE)),
+    reader.ascii(gps.get(TAG.GPS_LONGITUDE_REF)),
+  );
+  if (lat === null || lng === null) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  // Cameras without a fix often write 0/0 rather than leaving the tags out
+  if (lat === 0 && lng === 0) return null;
+  return { lat, lng };
+};
+
+// "2024:05:17 18:42:07" is local time. With OffsetTimeOriginal ("+09:00")
+// the instant is exact; without it the wall-clock time is stored as UTC.
+const readCapturedAt = (reader, exifIfd) => {
+  const raw = reader.ascii(exifIfd.get(TAG.DATE_TIME_ORIGINAL));
+  const match = raw?.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const offset = reader.ascii(exifIfd.get(TAG.OFFSET_TIME_ORIGINAL));
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset ?? "") ? offset : "Z";
+  const date = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`,
+  );
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the capture metadata of a JPEG or PNG.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ coordinates: { lat: number, lng: number } | null,
+ *   capturedAt: Date | null, orientation: number | null }}
+ */
+export const readExif = (buffer) => {
+  const tiff = buffer && findTiff(buffer);
+  if (!tiff) return { ...EMPTY_METADATA };
+
+  try {
+    const reader = createReader(tiff);
+    const { entries: ifd0 } = reader.readIfd(reader.ifd0);
+
+    const orientation = reader.short(ifd0.get(TAG.ORIENTATION));
+    const exifPointer = reader.long(ifd0.get(TAG.EXIF_IFD));
+    const gpsPointer = reader.long(ifd0.get(TAG.GPS_IFD));
+
+    return {
+      coordinates: gpsPointer
+        ? readCoordinates(reader, reader.readIfd(gpsPointer).entries)
+        : null,
+      capturedAt: exifPointer
+        ? readCapturedAt(reader, reader.readIfd(exifPointer).entries)
+        : null,
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : null,
+    };
+  } catch (err) {
+    console.warn("[exif] Ignoring unreadable EXIF block:", err.message);
+    return { ...EMPTY_METADATA };
+  }
+};
+
+// ─── 4. Location stripping ────────────────────────────────────────────────
+
+// Zero the GPS IFD in place: its out-of-line values first, then the entry
+// table, leaving a valid IFD with no entries behind the GPS pointer.
+const blankGpsIfd = (tiff) => {
+  const reader = createReader(tiff);
+  const { entries: ifd0 } = reader.readIfd(reader.ifd0);
+  const gpsPointer = reader.long(ifd0.get(TAG.GPS_IFD));
+  if (!gpsPointer) return;
+
+  const { count, entries } = reader.readIfd(gpsPointer);
+  for (const { valueOffset, size } of entries.values()) {
+    if (size > 4) tiff.fill(0, valueOffset, valueOffset + size);
+  }
+  tiff.fill(0, gpsPointer, gpsPointer + 2 + count * 12 + 4);
+};
+
+const stripJpeg = (buffer) => {
+  const copy = Buffer.from(buffer);
+  const { segments, headerEnd } = jpegSegments(copy);
+
+  const kept = [];
+  for (const segment of segments) {
+    if (isXmpSegment(segment)) continue;
+    if (isExifSegment(segment)) {
+      try {
+        blankGpsIfd(segment.data.subarray(EXIF_HEADER.length));
+      } catch (err) {
+        // Can't tell where the GPS tags are, so drop the whole block
+        console.warn("[exif] Dropping unreadable EXIF block:", err.message);
+        continue;
+      }
+    }
+    kept.push(copy.subarray(segment.start, segment.end));
+  }
+
+  return Buffer.concat([
+    copy.subarray(0, 2),
+    ...kept,
+    copy.subarray(headerEnd),
+  ]);
+};
+
+const stripPng = (buffer) => {
+  const chunks = pngChunks(buffer);
+  const kept = chunks.filter(
+    ({ type, data }) =>
+      type !== "eXIf" &&
+      !(type === "iTXt" && startsWith(data, PNG_XMP_KEYWORD)),
+  );
+  if (kept.length === chunks.length) return buffer;
+
+  return Buffer.concat([
+    buffer.subarray(0, PNG_SIGNATURE.length),
+    ...kept.map(({ start, end }) => buffer.subarray(start, end)),
+    buffer.subarray(chunks[chunks.length - 1].end),
+  ]);
+};
+
+/**
+ * Copy of the image without location metadata. Other formats are returned
+ * unchanged.
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+export const stripLocation = (buffer) => {
+  if (isJpeg(buffer)) return stripJpeg(buffer);
+  if (isPng(buffer)) return stripPng(buffer);
+  return buffer;
+};
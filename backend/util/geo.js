@@ -0,0 +1,173 @@
+/**
+ * geo.js
+ *
+ * Geospatial helpers shared by the /near and /within endpoints and by
+ * searchByColor's geo constraints.
+ *
+ * Places store their position twice: `coordinates` ({ lat, lng }, what the
+ * API and frontend use) and `location`, the GeoJSON Point behind the
+ * `2dsphere` index. GeoJSON orders positions [lng, lat].
+ *
+ * Geo constraints come from the query string in one of two forms:
+ *   lat=<deg>&lng=<deg>[&radius=<m>]     circle around a point
+ *   bbox=<west>,<south>,<east>,<north>   map viewport (west > east crosses
+ *                                        the antimeridian)
+ */
+
+import HttpError from "../models/http-error.js";
+
+export const EARTH_RADIUS_M = 6371000;
+
+export const DEFAULT_RADIUS_M = 5000;
+export const MAX_RADIUS_M = 500000;
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export const toGeoPoint = ({ lat, lng }) => ({
+  type: "Point",
+  coordinates: [lng, lat],
+});
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two { lat, lng } points, in meters
+ * (haversine).
+ */
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+const parseNumber = (value, name, min, max) => {
+  const number = Number(value);
+  if (
+    value === "" ||
+    !Number.isFinite(number) ||
+    number < min ||
+    number > max
+  ) {
+    throw new HttpError(
+      `${name} must be a number between ${min} and ${max}.`,
+      422,
+    );
+  }
+  return number;
+};
+
+/**
+ * Geo constraint from query parameters, or null when none was given.
+ *
+ * @param {Object} query - req.query
+ * @returns {null | { kind: "near", center: { lat, lng }, radius: number }
+ *   | { kind: "bbox", center: { lat, lng }, west, south, east, north }}
+ * @throws {HttpError} 422 for malformed or out-of-range values
+ */
+export const parseGeoQuery = (query) => {
+  if (query.bbox !== undefined) {
+    const parts = String(query.bbox).split(",");
+    if (parts.length !== 4) {
+      throw new HttpError("bbox must be west,south,east,north.", 422);
+    }
+    const west = parseNumber(parts[0], "west", -180, 180);
+    const south = parseNumber(parts[1], "south", -90, 90);
+    const east = parseNumber(parts[2], "east", -180, 180);
+    const north = parseNumber(parts[3], "north", -90, 90);
+    if (south > north) {
+      throw new HttpError("bbox south must not be above north.", 422);
+    }
+
+    // Center of the box, wrapping when it crosses the antimeridian
+    const width = east >= west ? east - west : east + 360 - west;
+    let centerLng = west + width / 2;
+    if (centerLng > 180) centerLng -= 360;
+
+    return {
+      kind: "bbox",
+      center: { lat: (south + north) / 2, lng: centerLng },
+      west,
+      south,
+      east,
+      north,
+    };
+  }
+
+  if (query.lat !== undefined || query.lng !== undefined) {
+    return {
+      kind: "near",
+      center: {
+        lat: parseNumber(query.lat, "lat", -90, 90),
+        lng: parseNumber(query.lng, "lng", -180, 180),
+      },
+      radius:
+        query.radius === undefined
+          ? DEFAULT_RADIUS_M
+          : parseNumber(query.radius, "radius", 1, MAX_RADIUS_M),
+    };
+  }
+
+  return null;
+};
+
+const lngInBox = (lng, { west, east }) =>
+  west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+
+/**
+ * Whether a { lat, lng } point satisfies a parsed geo constraint.
+ */
+export const matchesGeo = (coordinates, geo) => {
+  if (!geo) return true;
+  if (!coordinates) return false;
+  if (geo.kind === "near") {
+    return distanceMeters(geo.center, coordinates) <= geo.radius;
+  }
+  return (
+    coordinates.lat >= geo.south &&
+    coordinates.lat <= geo.north &&
+    lngInBox(coordinates.lng, geo)
+  );
+};
+
+/**
+ * MongoDB filter for a bbox constraint. Boxes are matched on the plain
+ * `coordinates` fields, so their edges follow lines of latitude and longitude
+ * exactly as on the map (GeoJSON polygons would bend them along great
+ * circles). Circles are handled by $geoNear's maxDistance instead.
+ */
+export const bboxFilter = ({ west, south, east, north }) => {
+  const lat = { "coordinates.lat": { $gte: south, $lte: north } };
+  if (west <= east) {
+    return { ...lat, "coordinates.lng": { $gte: west, $lte: east } };
+  }
+  return {
+    ...lat,
+    $or: [
+      { "coordinates.lng": { $gte: west } },
+      { "coordinates.lng": { $lte: east } },
+    ],
+  };
+};
+
+/**
+ * `page` (1-based) and `limit` from the query string.
+ *
+ * @throws {HttpError} 422 for non-numeric values
+ */
+export const parsePagination = (query) => {
+  const page =
+    query.page === undefined
+      ? 1
+      : Math.floor(parseNumber(query.page, "page", 1, Number.MAX_SAFE_INTEGER));
+  const limit =
+    query.limit === undefined
+      ? DEFAULT_PAGE_SIZE
+      : Math.floor(parseNumber(query.limit, "limit", 1, MAX_PAGE_SIZE));
+  return { page, limit, skip: (page - 1) * limit };
+};
@@ -0,0 +1,240 @@
+/**
+ * Offline geocoder backed by the bundled dataset in data/gazetteer/
+ * (~200 countries, ~330 cities popular with travellers). Resolves an address
+ * to the city it mentions, or failing that to the country's centroid, so it
+ * is only city-level precise. Used as the fallback when the Google API is
+ * unreachable and as the only geocoder in development without an API key.
+ *
+ * Matching: the address is split on commas and every word n-gram of every
+ * part is looked up in the city index (CJK names are matched as substrings,
+ * since those scripts don't separate words). A country named anywhere in the
+ * address rules out cities elsewhere; the region named in another part, the
+ * phrase length and the population break the remaining ties.
+ *
+ * Reverse lookups return the nearest city within REVERSE_MAX_KM.
+ */
+
+import fs from "fs";
+
+import { distanceMeters } from "../geo.js";
+
+const DATA_DIR = new URL("../../data/gazetteer/", import.meta.url);
+const MAX_NGRAM = 4;
+const REVERSE_MAX_KM = 50;
+
+const CJK_RE =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Accents are dropped and punctuation collapsed on both the dataset and the
+// query, so "Zürich", "zurich" and "St. Louis" / "st louis" all meet.
+export const normalizeName = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[.'’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const readTsv = (file) =>
+  fs
+    .readFileSync(new URL(file, DATA_DIR), "utf8")
+    .split("\n")
+    .filter((line) => line.trim() && !line.startsWith("#"))
+    .map((line) => line.split("\t"));
+
+const splitAliases = (aliases) => (aliases ? aliases.split("|") : []);
+
+let gazetteer = null;
+
+// Parsed on first use: most processes never need the fallback.
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+
+  const countries = new Map(); // code → country
+  const countryNames = new Map(); // normalized name → country
+  const cityNames = new Map(); // normalized name → city[]
+  const cjkNames = []; // [normalized name, city|country, kind]
+  const cities = [];
+
+  for (const [code, name, lat, lng, aliases] of readTsv("countries.tsv")) {
+    const country = { code, name, lat: Number(lat), lng: Number(lng) };
+    countries.set(code, country);
+    for (const alias of [name, ...splitAliases(aliases)]) {
+      const key = normalizeName(alias);
+      if (CJK_RE.test(key)) cjkNames.push([key, country, "country"]);
+      else countryNames.set(key, country);
+    }
+  }
+
+  for (const row of readTsv("cities.tsv")) {
+    const [name, region, regionCode, countryCode, lat, lng, population] = row;
+    const city = {
+      name,
+      region: region || null,
+      regionKeys: [region, regionCode].filter(Boolean).map(normalizeName),
+      country: countries.get(countryCode),
+      lat: Number(lat),
+      lng: Number(lng),
+      population: Number(population) || 0,
+    };
+    cities.push(city);
+    for (const alias of [name, ...splitAliases(row[7])]) {
+      const key = normalizeName(alias);
+      if (CJK_RE.test(key)) {
+        cjkNames.push([key, city, "city"]);
+      } else {
+        if (!cityNames.has(key)) cityNames.set(key, []);
+        cityNames.get(key).push(city);
+      }
+    }
+  }
+
+  gazetteer = { countryNames, cityNames, cjkNames, cities };
+  return gazetteer;
+};
+
+// Every word n-gram of a part, longest first
+const ngrams = (part) => {
+  const words = part.split(" ");
+  const result = [];
+  for (let n = Math.min(MAX_NGRAM, words.length); n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      result.push({ text: words.slice(i, i + n).join(" "), length: n });
+    }
+  }
+  return result;
+};
+
+// Whole comma-separated parts first ("…, Japan"), then trailing words of the
+// last part ("Shibuya Tokyo Japan"). Short aliases such as "us" or "uk" only
+// count as whole parts, otherwise "near us" would be in the United States.
+const findCountry = (parts, compact, { countryNames, cjkNames }) => {
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const country = countryNames.get(parts[i]);
+    if (country) return country;
+  }
+
+  const words = parts[parts.length - 1]?.split(" ") ?? [];
+  for (let n = Math.min(MAX_NGRAM, words.length - 1); n >= 1; n--) {
+    const text = words.slice(-n).join(" ");
+    const country = text.length > 3 && countryNames.get(text);
+    if (country) return country;
+  }
+
+  return (
+    cjkNames.find(
+      ([key, , kind]) => kind === "country" && compact.includes(key),
+    )?.[1] ?? null
+  );
+};
+
+const findCities = (parts, compact, { cityNames, cjkNames }) => {
+  const candidates = [];
+  parts.forEach((part, partIndex) => {
+    for (const { text, length } of ngrams(part)) {
+      for (const city of cityNames.get(text) ?? []) {
+        candidates.push({ city, partIndex, length });
+      }
+    }
+  });
+  for (const [key, city, kind] of cjkNames) {
+    if (kind === "city" && compact.includes(key)) {
+      candidates.push({ city, partIndex: -1, length: key.length });
+    }
+  }
+  return candidates;
+};
+
+const scoreCandidate = ({ city, partIndex, length }, parts, country) => {
+  // A region only counts when it's named in another part: "Bern" must not
+  // confirm itself as the region of Bern in "Interlaken, Bern, Switzerland".
+  const regionNamed = parts.some(
+    (part, i) =>
+      i !== partIndex &&
+      ngrams(part).some(({ text }) => city.regionKeys.includes(text)),
+  );
+
+  return (
+    (country ? 4 : 0) +
+    (regionNamed ? 2 : 0) +
+    length +
+    Math.log10(city.population + 1) / 10
+  );
+};
+
+const toCityResult = (city) => ({
+  coordinates: { lat: city.lat, lng: city.lng },
+  addressComponents: {
+    city: city.name,
+    region: city.region,
+    country: city.country.name,
+    countryCode: city.country.code,
+  },
+  formattedAddress: [
+    city.name,
+    city.region !== city.name ? city.region : null,
+    city.country.name,
+  ]
+    .filter(Boolean)
+    .join(", "),
+  precision: "city",
+});
+
+const toCountryResult = (country) => ({
+  coordinates: { lat: country.lat, lng: country.lng },
+  addressComponents: {
+    city: null,
+    region: null,
+    country: country.name,
+    countryCode: country.code,
+  },
+  formattedAddress: country.name,
+  precision: "country",
+});
+
+const gazetteerGeocoder = {
+  name: "gazetteer",
+
+  geocode: async (address) => {
+    const data = loadGazetteer();
+    const parts = address
+      .split(/[,;\n|/]/)
+      .map(normalizeName)
+      .filter(Boolean);
+    if (parts.length === 0) return null;
+    const compact = parts.join("").replace(/ /g, "");
+
+    const country = findCountry(parts, compact, data);
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of findCities(parts, compact, data)) {
+      if (country && candidate.city.country !== country) continue;
+      const score = scoreCandidate(candidate, parts, country);
+      if (score > bestScore) {
+        best = candidate.city;
+        bestScore = score;
+      }
+    }
+
+    if (best) return toCityResult(best);
+    if (country) return toCountryResult(country);
+    return null;
+  },
+
+  reverse: async (coordinates) => {
+    let nearest = null;
+    let nearestKm = REVERSE_MAX_KM;
+    for (const city of loadGazetteer().cities) {
+      const km = distanceMeters(coordinates, city) / 1000;
+      if (km <= nearestKm) {
+        nearest = city;
+        nearestKm = km;
+      }
+    }
+    return nearest && toCityResult(nearest);
+  },
+};
+
+export default gazetteerGeocoder;
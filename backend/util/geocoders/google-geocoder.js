@@ -0,0 +1,77 @@
+/**
+ * Google Geocoding API adapter. Street-level precision; needs GOOGLE_API_KEY.
+ */
+
+import axios from "axios";
+
+const TIMEOUT_MS = parseInt(process.env.GEOCODER_TIMEOUT_MS) || 5000;
+
+const findComponent = (components, ...types) =>
+  types
+    .map((type) => components.find((c) => c.types.includes(type)))
+    .find(Boolean);
+
+// Not every country has a "locality" (e.g. UK addresses use postal_town),
+// so fall back to the next smaller administrative level.
+const toAddressComponents = (components = []) => {
+  const city = findComponent(
+    components,
+    "locality",
+    "postal_town",
+    "administrative_area_level_3",
+    "administrative_area_level_2",
+  );
+  const region = findComponent(components, "administrative_area_level_1");
+  const country = findComponent(components, "country");
+
+  return {
+    city: city?.long_name ?? null,
+    region: region?.long_name ?? null,
+    country: country?.long_name ?? null,
+    countryCode: country?.short_name ?? null,
+  };
+};
+
+// First result for the query, or null for ZERO_RESULTS
+const lookup = async (params) => {
+  if (!process.env.GOOGLE_API_KEY) {
+    throw new Error("GOOGLE_API_KEY is not set");
+  }
+
+  const response = await axios.get(
+    "https://maps.googleapis.com/maps/api/geocode/json",
+    {
+      params: { ...params, key: process.env.GOOGLE_API_KEY },
+      timeout: TIMEOUT_MS,
+    },
+  );
+  const data = response.data;
+
+  if (data?.status === "ZERO_RESULTS") return null;
+  if (data?.status !== "OK") {
+    // OVER_QUERY_LIMIT, REQUEST_DENIED, … — the service is unusable right
+    // now, which is different from "no such address"
+    throw new Error(
+      `Google geocoder returned ${data?.status ?? "an empty response"}` +
+        `${data?.error_message ? `: ${data.error_message}` : ""}`,
+    );
+  }
+
+  const [result] = data.results;
+  return {
+    coordinates: result.geometry.location,
+    addressComponents: toAddressComponents(result.address_components),
+    formattedAddress: result.formatted_address,
+    precision: "address",
+  };
+};
+
+const googleGeocoder = {
+  name: "google",
+
+  geocode: (address) => lookup({ address }),
+
+  reverse: ({ lat, lng }) => lookup({ latlng: `${lat},${lng}` }),
+};
+
+export default googleGeocoder;
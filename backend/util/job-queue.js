@@ -0,0 +1,263 @@
+/**
+ * job-queue.js
+ *
+ * MongoDB-backed background job queue. Jobs survive process restarts because
+ * they live in the `jobs` collection rather than in memory.
+ *
+ *  - enqueueJob() inserts a job (optionally inside a transaction session;
+ *    the caller then calls wakeJobWorker() once the transaction commits)
+ *  - startJobWorker() polls for due jobs and runs the registered handler
+ *  - failures are retried with exponential backoff until maxAttempts, after
+ *    which the job is parked in the "dead" state for inspection
+ *  - jobs left "running" by a crashed process are requeued once their lock
+ *    times out
+ *
+ * Configuration (env):
+ *   JOB_POLL_INTERVAL_MS  idle polling interval         (default 2000)
+ *   JOB_MAX_ATTEMPTS      attempts before dead-lettering (default 5)
+ *   JOB_BACKOFF_BASE_MS   first retry delay              (default 5000)
+ *   JOB_BACKOFF_MAX_MS    retry delay cap                (default 600000)
+ *   JOB_LOCK_TIMEOUT_MS   when a running job is stale    (default 600000)
+ */
+
+import Job from "../models/job.js";
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 600000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 600000;
+
+const handlers = new Map();
+
+let workerRunning = false;
+let wakeWorker = null;
+
+/**
+ * Register the handler for a job type.
+ *
+ * @param {string} type
+ * @param {Object} handler
+ * @param {(job: Object) => Promise<void>} handler.run - throw to fail the attempt.
+ *   May modify job.payload; the modified payload is kept for the next attempt.
+ * @param {(job: Object, err: Error, info: { willRetry: boolean }) => Promise<void>} [handler.onFailure]
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Fold a payload into the queued job with this dedupeKey. The write only
+// matches while the job is still queued and unchanged since it was read
+// (__v is bumped on every merge), so a job the worker claims in between
+// never receives steps it will not run. Returns null when no job is queued.
+const mergeIntoQueuedJob = async (dedupeKey, payload, merge, session) => {
+  for (;;) {
+    const existing = await Job.findOne({ dedupeKey, status: "queued" })
+      .session(session)
+      .lean();
+    if (!existing) return null;
+    if (!merge) return Job.hydrate(existing);
+
+    const merged = await Job.findOneAndUpdate(
+      { _id: existing._id, status: "queued", __v: existing.__v },
+      {
+        $set: { payload: merge(existing.payload, payload) },
+        $inc: { __v: 1 },
+      },
+      { new: true, session },
+    );
+    if (merged) return merged;
+    // Claimed or merged by someone else meanwhile: look again
+  }
+};
+
+/**
+ * Add a job to the queue.
+ *
+ * When `dedupeKey` matches a job that is still queued, no new job is created;
+ * the existing one is returned, with its payload combined through `merge`.
+ * If the worker claims that job first, a new job is queued instead.
+ *
+ * @param {string} type
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey]
+ * @param {(existing: Object, incoming: Object) => Object} [options.merge]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.delayMs]
+ * @param {number} [options.priority] - higher runs first (default 0)
+ * @param {ClientSession} [options.session] - enqueue inside a transaction;
+ *   call wakeJobWorker() after committing it
+ * @returns {Promise<Object>} the job document
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  const {
+    dedupeKey = null,
+    merge,
+    maxAttempts = MAX_ATTEMPTS,
+    delayMs = 0,
+    priority = 0,
+    session = null,
+  } = options;
+
+  if (dedupeKey) {
+    const existing = await mergeIntoQueuedJob(
+      dedupeKey,
+      payload,
+      merge,
+      session,
+    );
+    if (existing) return existing;
+  }
+
+  const [job] = await Job.create(
+    [
+      {
+        type,
+        payload,
+        dedupeKey,
+        maxAttempts,
+        priority,
+        runAt: new Date(Date.now() + delayMs),
+      },
+    ],
+    { session },
+  );
+
+  // A job inside a transaction isn't visible to the worker until the commit
+  if (!session) wakeJobWorker();
+  return job;
+};
+
+/**
+ * Don't wait for the next poll tick when the worker is idle in this process.
+ */
+export const wakeJobWorker = () => {
+  if (wakeWorker) setImmediate(wakeWorker);
+};
+
+// Exponential backoff with ±20% jitter so retries of a burst of failed jobs
+// don't all land on the same tick.
+const backoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const requeueStaleJobs = async () => {
+  const result = await Job.updateMany(
+    {
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+    { $set: { status: "queued", lockedAt: null, runAt: new Date() } },
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[job-queue] Requeued ${result.modifiedCount} stale job(s).`);
+  }
+};
+
+const claimNextJob = () =>
+  Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      type: { $in: [...handlers.keys()] },
+    },
+    {
+      $set: { status: "running", lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true },
+  );
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    await handler.run(job);
+    await Job.findByIdAndUpdate(job._id, {
+      status: "done",
+      lockedAt: null,
+      lastError: null,
+      completedAt: new Date(),
+    });
+  } catch (err) {
+    const willRetry = job.attempts < job.maxAttempts;
+    const message = err?.message ?? String(err);
+
+    await Job.findByIdAndUpdate(job._id, {
+      status: willRetry ? "queued" : "dead",
+      payload: job.payload,
+      lockedAt: null,
+      lastError: message,
+      runAt: willRetry
+        ? new Date(Date.now() + backoffDelay(job.attempts))
+        : job.runAt,
+    });
+
+    console.error(
+      `[job-queue] ${job.type} job ${job._id} failed ` +
+        `(attempt ${job.attempts}/${job.maxAttempts}` +
+        `${willRetry ? "" : ", dead-lettered"}): ${message}`,
+    );
+
+    if (handler.onFailure) {
+      try {
+        await handler.onFailure(job, err, { willRetry });
+      } catch (hookErr) {
+        console.error(
+          `[job-queue] onFailure hook for ${job.type} failed:`,
+          hookErr.message,
+        );
+      }
+    }
+  }
+};
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wakeWorker = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+/**
+ * Start the polling loop. Jobs are processed one at a time so a burst of
+ * uploads can't saturate the image and embedding APIs.
+ */
+export const startJobWorker = () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  const loop = async () => {
+    let lastStaleCheck = 0;
+
+    while (workerRunning) {
+      try {
+        if (Date.now() - lastStaleCheck > POLL_INTERVAL_MS * 30) {
+          lastStaleCheck = Date.now();
+          await requeueStaleJobs();
+        }
+
+        const job = await claimNextJob();
+        if (job) {
+          await runJob(job);
+          continue;
+        }
+      } catch (err) {
+        console.error("[job-queue] Worker loop error:", err.message);
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  };
+
+  loop();
+  console.log(`[job-queue] Worker started (${handlers.size} job type(s)).`);
+};
+
+export const stopJobWorker = () => {
+  workerRunning = false;
+  if (wakeWorker) wakeWorker();
+};
@@ -1,26 +1,229 @@
+/**
+ * location.js
+ *
+ * Address → coordinates + structured components ({ city, region, country,
+ * countryCode }), and coordinates → address for photos that carry GPS
+ * tags, through a chain of geocoders with a MongoDB cache in front.
+ *
+ *   GEOCODERS              comma-separated chain, tried in order
+ *                          (default "google,gazetteer" when GOOGLE_API_KEY is
+ *                          set, otherwise "gazetteer")
+ *   GEOCODER_TIMEOUT_MS    per-request timeout for network geocoders (5000)
+ *   GEOCODE_CACHE_TTL_DAYS how long answers are cached (90, 0 disables)
+ *
+ * Every geocoder implements:
+ *   name               id, recorded with cached answers
+ *   geocode(address)   → { coordinates, addressComponents, formattedAddress,
+ *                          precision } | null when the address is unknown;
+ *                        throws when the service itself failed
+ *   reverse({ lat, lng }) → the same shape for the nearest known address
+ *
+ * A geocoder that throws (timeout, quota, network) is skipped, so an outage
+ * of the Google API degrades to city-level coordinates from the bundled
+ * gazetteer instead of failing place creation. An address that no geocoder
+ * knows at all — any street address without a city the gazetteer has, when
+ * GOOGLE_API_KEY is unset — is saved without coordinates (locateAddress).
+ */
+
 import dotenv from "dotenv";
-import axios from "axios";
+
 import HttpError from "../models/http-error.js";
+import Geocode from "../models/geocode.js";
+import googleGeocoder from "./geocoders/google-geocoder.js";
+import gazetteerGeocoder from "./geocoders/gazetteer-geocoder.js";
 
 dotenv.config();
 
-const API_KEY = process.env.GOOGLE_API_KEY;
+const GEOCODERS = { google: googleGeocoder, gazetteer: gazetteerGeocoder };
 
-async function getCoorsForAddress(address) {
-  const response = await axios.get(
-    `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${API_KEY}`,
-  );
-  const data = response.data;
+const chain = (
+  process.env.GEOCODERS ||
+  (process.env.GOOGLE_API_KEY ? "google,gazetteer" : "gazetteer")
+)
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean)
+  .map((name) => {
+    if (!GEOCODERS[name]) {
+      throw new Error(
+        `Unknown geocoder "${name}" in GEOCODERS. ` +
+          `Expected any of: ${Object.keys(GEOCODERS).join(", ")}.`,
+      );
+    }
+    return GEOCODERS[name];
+  });
+
+const EMPTY_ADDRESS_COMPONENTS = {
+  city: null,
+  region: null,
+  country: null,
+  countryCode: null,
+};
+
+const CACHE_TTL_MS =
+  (parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS ?? "90") || 0) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+/**
+ * Cache key for an address: case, accents, punctuation and spacing don't
+ * change where an address points.
+ */
+export const normalizeAddress = (address = "") =>
+  address
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s,.;#]+/g, " ")
+    .trim();
+
+// Cache problems must never block geocoding, so both helpers swallow errors.
+const readCache = async (key) => {
+  if (CACHE_TTL_MS <= 0) return null;
+  try {
+    return await Geocode.findOne({ key, expiresAt: { $gt: new Date() } })
+      .select("-_id -key -expiresAt -__v")
+      .lean();
+  } catch (err) {
+    console.error("[location] Geocode cache read failed:", err.message);
+    return null;
+  }
+};
+
+const writeCache = async (key, result) => {
+  if (CACHE_TTL_MS <= 0) return;
+  try {
+    await Geocode.findOneAndUpdate(
+      { key },
+      { ...result, expiresAt: new Date(Date.now() + CACHE_TTL_MS) },
+      { upsert: true },
+    );
+  } catch (err) {
+    console.error("[location] Geocode cache write failed:", err.message);
+  }
+};
+
+// Walk the geocoder chain for one lookup, with the cache in front.
+const resolve = async (key, lookup, notFoundMessage) => {
+  const cached = await readCache(key);
+  if (cached) return cached;
+
+  let unavailable = false;
+  for (const [i, geocoder] of chain.entries()) {
+    let result;
+    try {
+      result = await lookup(geocoder);
+    } catch (err) {
+      unavailable = true;
+      console.error(
+        `[location] ${geocoder.name} geocoder failed:`,
+        err.message,
+      );
+      continue;
+    }
+    if (!result) continue;
 
-  if (!data || data.status === "ZERO_RESULTS") {
+    result = { ...result, provider: geocoder.name };
+    // Fallback answers are coarser than the primary geocoder's; caching them
+    // would keep serving them after the primary recovers.
+    if (i === 0) await writeCache(key, result);
+    return result;
+  }
+
+  if (unavailable) {
+    throw new HttpError(
+      "Location lookup is temporarily unavailable. Please try again later.",
+      503,
+    );
+  }
+  throw new HttpError(notFoundMessage, 404);
+};
+
+/**
+ * Geocode an address.
+ *
+ * @param {string} address
+ * @returns {Promise<{ coordinates: { lat: number, lng: number },
+ *   addressComponents: { city, region, country, countryCode },
+ *   formattedAddress: string, precision: string, provider: string }>}
+ * @throws {HttpError} 404 when no geocoder knows the address, 503 when it
+ *   couldn't be resolved because a geocoder was unavailable
+ */
+export const geocodeAddress = async (address) => {
+  const key = normalizeAddress(address);
+  if (!key) {
     throw new HttpError(
       "Could not find location for the specified address",
       404,
     );
   }
 
-  const coors = data.results[0].geometry.location;
-  return coors;
-}
+  return resolve(
+    key,
+    (geocoder) => geocoder.geocode(address),
+    "Could not find location for the specified address",
+  );
+};
+
+/**
+ * geocodeAddress() for saving a place: an address no geocoder knows is kept
+ * as typed, with null coordinates, instead of failing the request.
+ *
+ * @param {string} address
+ * @returns {Promise<Object>} same shape as geocodeAddress(); precision is
+ *   "none" and provider null for an unknown address
+ * @throws {HttpError} 503 as for geocodeAddress()
+ */
+export const locateAddress = async (address) => {
+  try {
+    return await geocodeAddress(address);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+    return {
+      coordinates: null,
+      addressComponents: EMPTY_ADDRESS_COMPONENTS,
+      formattedAddress: address,
+      precision: "none",
+      provider: null,
+    };
+  }
+};
 
-export default getCoorsForAddress;
+/**
+ * Nearest known address for a point, e.g. a photo's GPS position. The
+ * returned coordinates are the address's, not the point's.
+ *
+ * @param {{ lat: number, lng: number }} coordinates
+ * @returns {Promise<Object>} same shape as geocodeAddress()
+ * @throws {HttpError} 404 / 503 as for geocodeAddress()
+ */
+export const reverseGeocode = async ({ lat, lng }) =>
+  // ~11 m grid: photos taken a few steps apart share one cache entry
+  resolve(
+    `@${lat.toFixed(4)},${lng.toFixed(4)}`,
+    (geocoder) => geocoder.reverse({ lat, lng }),
+    "Could not find an address for the photo's location",
+  );
+
+/**
+ * Address for a point that is known to be right, such as a photo's GPS
+ * position. Keeps the point's own coordinates, and falls back to printing
+ * them when no geocoder can name the place, so it never throws.
+ *
+ * @param {{ lat: number, lng: number }} coordinates
+ * @returns {Promise<Object>} same shape as geocodeAddress()
+ */
+export const describeLocation = async (coordinates) => {
+  try {
+    return { ...(await reverseGeocode(coordinates)), coordinates };
+  } catch (err) {
+    return {
+      coordinates,
+      addressComponents: EMPTY_ADDRESS_COMPONENTS,
+      formattedAddress: `${coordinates.lat.toFixed(5)}, ${coordinates.lng.toFixed(5)}`,
+      precision: "coordinates",
+      provider: null,
+    };
+  }
+};
@@ -0,0 +1,269 @@
+/**
+ * place-analysis.js
+ *
+ * Colorwalk pipeline for a stored place, run through the durable job queue:
+ *   - "color":     analyzeImageColor() for each gallery photo → the photo's
+ *                  colorPalette, colorVector, … (mirrored onto the place for
+ *                  the cover photo)
+ *   - "embedding": generateTextEmbedding(title, description, address)
+ *
+ * Place.analysisStatus tracks progress:
+ *   pending → running → done
+ *                 ↓
+ *            pending again while retries remain, failed once dead-lettered
+ */
+
+import Place from "../models/place.js";
+import { enqueueJob, registerJobHandler } from "./job-queue.js";
+import {
+  analyzeImageColor,
+  generateTextEmbedding,
+  EMBEDDING_DIMENSIONS,
+  EMBEDDING_MODEL,
+  EMBEDDING_PROVIDER,
+} from "./color-service.js";
+import { ensurePhotos, syncCover } from "./place-photos.js";
+import storage from "./storage.js";
+import vectorStore from "./vector-store.js";
+
+export const ANALYZE_PLACE_JOB = "analyze-place";
+export const ANALYSIS_STEPS = ["color", "embedding"];
+
+// Photos the color step of two merged jobs should cover; undefined means
+// every photo
+const mergePhotoIds = (a, b) => {
+  if (!a.steps.includes("color")) return b.photoIds;
+  if (!b.steps.includes("color")) return a.photoIds;
+  if (!a.photoIds || !b.photoIds) return undefined;
+  return [...new Set([...a.photoIds, ...b.photoIds])];
+};
+
+/**
+ * Queue the pipeline for a place and mark it pending.
+ * Pass `session` to make the enqueue part of the caller's transaction, and
+ * call wakeJobWorker() after it commits.
+ *
+ * @param {string|ObjectId} placeId
+ * @param {Object} [options]
+ * @param {string[]} [options.steps] - subset of ANALYSIS_STEPS
+ * @param {string[]} [options.photoIds] - limit the color step to these
+ *   photos (default: every photo)
+ * @param {number} [options.priority] - job priority, see util/job-queue.js
+ * @param {ClientSession} [options.session]
+ */
+export const enqueuePlaceAnalysis = async (
+  placeId,
+  { steps = ANALYSIS_STEPS, photoIds, priority = 0, session = null } = {},
+) => {
+  await Place.updateOne(
+    { _id: placeId },
+    { analysisStatus: "pending", analysisError: null },
+    { session },
+  );
+
+  return enqueueJob(
+    ANALYZE_PLACE_JOB,
+    {
+      placeId: String(placeId),
+      steps,
+      ...(photoIds && { photoIds: photoIds.map(String) }),
+    },
+    {
+      dedupeKey: `${ANALYZE_PLACE_JOB}:${placeId}`,
+      // A queued job picks up any extra steps and photos requested before it
+      // runs
+      merge: (existing, incoming) => ({
+        ...existing,
+        steps: [...new Set([...existing.steps, ...incoming.steps])],
+        photoIds: mergePhotoIds(existing, incoming),
+      }),
+      priority,
+      session,
+    },
+  );
+};
+
+/**
+ * Run the requested pipeline steps for one place and write back whatever
+ * succeeded. Throws when any step failed; the error carries `failedSteps`
+ * (and `failedPhotoIds` for the color step) so a retry only repeats the work
+ * that is still missing.
+ *
+ * @param {string|ObjectId} placeId
+ * @param {Object} [options]
+ * @param {string[]} [options.steps]
+ * @param {string[]} [options.photoIds] - color step only; default every photo
+ * @returns {Promise<{ updated: string[] } | null>} null if the place no longer exists
+ */
+export const analyzePlace = async (
+  placeId,
+  { steps = ANALYSIS_STEPS, photoIds } = {},
+) => {
+  const place = await Place.findById(placeId).select(
+    "title description address image photos coverPhotoId",
+  );
+  if (!place) return null;
+
+  // Places from before galleries get their one-photo gallery here, so the
+  // color step always works on photos
+  if (steps.includes("color") && place.photos.length === 0) {
+    ensurePhotos(place);
+    await place.save();
+  }
+
+  const photos = steps.includes("color")
+    ? place.photos.filter(
+        (photo) => !photoIds || photoIds.includes(String(photo._id)),
+      )
+    : [];
+
+  // Why Promise.allSettled over Promise.all: allSettled lets every task run to
+  // completion independently. If OpenAI times out, color data still gets
+  // written, and vice versa.
+  const [embeddingResult, ...colorResults] = await Promise.allSettled([
+    steps.includes("embedding")
+      ? generateTextEmbedding({
+          title: place.title,
+          description: place.description,
+          address: place.address,
+        })
+      : null,
+    ...photos.map((photo) =>
+      analyzeImageColor(storage.readableSource(photo.url)),
+    ),
+  ]);
+
+  // Collect only successful results — never overwrite existing fields with null
+  const updated = [];
+  const failures = {};
+  const failedPhotoIds = [];
+
+  for (const [i, photo] of photos.entries()) {
+    const colorResult = colorResults[i];
+    if (colorResult.status !== "fulfilled" || !colorResult.value) {
+      failedPhotoIds.push(String(photo._id));
+      failures.color = `${failedPhotoIds.length} photo(s): ${
+        colorResult.reason?.message ?? "no data returned"
+      }`;
+      continue;
+    }
+
+    const {
+      colorPalette,
+      colorVector,
+      isColorful,
+      colorAnalyzedAt,
+      colorAlgorithmVersion,
+    } = colorResult.value;
+    Object.assign(photo, {
+      colorPalette,
+      colorVector,
+      isColorful,
+      colorAnalyzedAt,
+      colorAlgorithmVersion,
+    });
+    updated.push(`photos.${photo._id}`);
+    console.log(
+      `[colorwalk] Color OK for place ${placeId} photo ${photo._id}: ` +
+        `isColorful=${isColorful}, palette=${colorPalette.map((s) => s.hex).join(", ")}`,
+    );
+  }
+
+  const updates = {};
+
+  // Write each analyzed photo on its own, so photos added or removed while
+  // the analysis ran are left alone
+  for (const photo of photos) {
+    if (!updated.includes(`photos.${photo._id}`)) continue;
+    await Place.updateOne(
+      { _id: placeId, "photos._id": photo._id },
+      {
+        $set: {
+          "photos.$.colorPalette": photo.colorPalette,
+          "photos.$.colorVector": photo.colorVector,
+          "photos.$.isColorful": photo.isColorful,
+          "photos.$.colorAnalyzedAt": photo.colorAnalyzedAt,
+          "photos.$.colorAlgorithmVersion": photo.colorAlgorithmVersion,
+        },
+      },
+    );
+  }
+
+  if (updated.length > 0) {
+    syncCover(place);
+    Object.assign(updates, {
+      colorPalette: place.colorPalette,
+      colorVector: place.colorVector,
+      isColorful: place.isColorful,
+      colorAnalyzedAt: place.colorAnalyzedAt,
+      colorAlgorithmVersion: place.colorAlgorithmVersion,
+    });
+  }
+
+  if (steps.includes("embedding")) {
+    if (embeddingResult.status === "fulfilled" && embeddingResult.value) {
+      updates.textEmbedding = embeddingResult.value;
+      updates.embeddingProvider = EMBEDDING_PROVIDER;
+      updates.embeddingModel = EMBEDDING_MODEL;
+      updates.embeddingDimensions = EMBEDDING_DIMENSIONS;
+      updated.push("textEmbedding");
+      console.log(
+        `[colorwalk] Embedding OK for place ${placeId}: dims=${embeddingResult.value.length}`,
+      );
+    } else {
+      failures.embedding =
+        embeddingResult.reason?.message ?? "no data returned";
+    }
+  }
+
+  if (updated.length > 0) {
+    await Place.findByIdAndUpdate(placeId, updates);
+    await vectorStore.refresh(placeId);
+  }
+
+  const failedSteps = Object.keys(failures);
+  if (failedSteps.length > 0) {
+    const err = new Error(
+      failedSteps.map((step) => `${step}: ${failures[step]}`).join("; "),
+    );
+    err.failedSteps = failedSteps;
+    err.failedPhotoIds = failedPhotoIds;
+    throw err;
+  }
+
+  return { updated };
+};
+
+registerJobHandler(ANALYZE_PLACE_JOB, {
+  run: async (job) => {
+    const { placeId, steps, photoIds } = job.payload;
+    await Place.updateOne({ _id: placeId }, { analysisStatus: "running" });
+
+    try {
+      const result = await analyzePlace(placeId, { steps, photoIds });
+      if (!result) {
+        console.log(`[colorwalk] Place ${placeId} was deleted, skipping.`);
+        return;
+      }
+    } catch (err) {
+      if (err.failedSteps) job.payload.steps = err.failedSteps;
+      if (err.failedPhotoIds?.length) job.payload.photoIds = err.failedPhotoIds;
+      throw err;
+    }
+
+    await Place.updateOne(
+      { _id: placeId },
+      { analysisStatus: "done", analysisError: null },
+    );
+  },
+
+  onFailure: async (job, err, { willRetry }) => {
+    await Place.updateOne(
+      { _id: job.payload.placeId },
+      {
+        analysisStatus: willRetry ? "pending" : "failed",
+        analysisError: err.message,
+      },
+    );
+  },
+});
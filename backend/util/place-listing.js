@@ -0,0 +1,303 @@
+/**
+ * place-listing.js
+ *
+ * Cursor pagination, sorting and filters for place listings: the public feed
+ * (GET /api/places) and a user's places (GET /api/places/user/:userId).
+ *
+ * Query parameters:
+ *   limit=<1–100>                    page size (default 20)
+ *   cursor=<opaque>                  `nextCursor` of the previous page
+ *   sort=newest|oldest|title|distance
+ *                                    default newest; distance needs
+ *                                    lat=&lng= and takes an optional
+ *                                    radius= in meters
+ *   hasColor=true|false              color analysis has produced a palette
+ *   isColorful=true|false
+ *   createdAfter=, createdBefore=    ISO dates, compared with the creation
+ *                                    time encoded in the place's _id
+ *   tags=a,b                         places carrying every listed tag
+ *
+ * Cursors are base64url JSON of the last item's sort key and id. Unlike
+ * page numbers they stay correct while places are added or deleted between
+ * requests, but they are only valid with the sort that produced them.
+ */
+
+import mongoose from "mongoose";
+
+import HttpError from "../models/http-error.js";
+import Place from "../models/place.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  EARTH_RADIUS_M,
+  MAX_PAGE_SIZE,
+  parseGeoQuery,
+  toGeoPoint,
+} from "./geo.js";
+
+const { ObjectId } = mongoose.Types;
+
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Vectors are never sent to clients
+export const HEAVY_FIELDS = {
+  textEmbedding: 0,
+  colorVector: 0,
+  "photos.colorVector": 0,
+};
+
+// Titles sort case- and accent-insensitively ("élan" next to "Elan")
+const TITLE_COLLATION = { locale: "en", strength: 1 };
+
+const SORTS = {
+  newest: { field: "_id", direction: -1 },
+  oldest: { field: "_id", direction: 1 },
+  title: { field: "title", direction: 1 },
+  distance: { field: "distance", direction: 1 },
+};
+
+/**
+ * Normalize tags from a request body: an array or a comma-separated string
+ * (multipart forms), trimmed, lowercased, without duplicates.
+ *
+ * @throws {HttpError} 422 for too many or too long tags
+ */
+export const parseTags = (value) => {
+  const raw = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const tags = [
+    ...new Set(raw.map((tag) => String(tag).trim().toLowerCase())),
+  ].filter(Boolean);
+
+  if (tags.length > MAX_TAGS) {
+    throw new HttpError(`A place can have at most ${MAX_TAGS} tags.`, 422);
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new HttpError(
+      `Tags must be at most ${MAX_TAG_LENGTH} characters long.`,
+      422,
+    );
+  }
+  return tags;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new HttpError(`${name} must be true or false.`, 422);
+};
+
+// ObjectId whose timestamp is the given ISO date, for range filters on _id
+const objectIdAt = (value, name) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(`${name} must be an ISO date.`, 422);
+  }
+  return ObjectId.createFromTime(Math.floor(time / 1000));
+};
+
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value, sort) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), "base64url").toString());
+  } catch (err) {
+    cursor = null;
+  }
+  const valueType = sort === "title" ? "string" : "number";
+  if (
+    !cursor ||
+    !ObjectId.isValid(cursor.id) ||
+    (SORTS[sort].field !== "_id" && typeof cursor.value !== valueType)
+  ) {
+    throw new HttpError("Invalid cursor.", 422);
+  }
+  return { id: new ObjectId(cursor.id), value: cursor.value };
+};
+
+/**
+ * Listing options from the query string.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ filter: Object, sort: string, limit: number,
+ *   cursor: { id, value } | null, center: { lat, lng } | null,
+ *   radius: number | null }}
+ * @throws {HttpError} 422 for malformed parameters
+ */
+export const parseListingQuery = (query) => {
+  const sort = query.sort ?? "newest";
+  if (!SORTS[sort]) {
+    throw new HttpError(
+      `sort must be one of: ${Object.keys(SORTS).join(", ")}.`,
+      422,
+    );
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Math.floor(Number(query.limit));
+    if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+      throw new HttpError(
+        `limit must be a number between 1 and ${MAX_PAGE_SIZE}.`,
+        422,
+      );
+    }
+  }
+
+  let center = null;
+  let radius = null;
+  if (sort === "distance") {
+    const geo = parseGeoQuery({
+      lat: query.lat ?? "",
+      lng: query.lng ?? "",
+      radius: query.radius,
+    });
+    center = geo.center;
+    if (query.radius !== undefined) radius = geo.radius;
+  }
+
+  const filter = {};
+  if (query.hasColor !== undefined) {
+    filter["colorPalette.0"] = {
+      $exists: parseBoolean(query.hasColor, "hasColor"),
+    };
+  }
+  if (query.isColorful !== undefined) {
+    filter.isColorful = parseBoolean(query.isColorful, "isColorful");
+  }
+  if (query.createdAfter !== undefined || query.createdBefore !== undefined) {
+    filter._id = {};
+    if (query.createdAfter !== undefined) {
+      filter._id.$gte = objectIdAt(query.createdAfter, "createdAfter");
+    }
+    if (query.createdBefore !== undefined) {
+      filter._id.$lt = objectIdAt(query.createdBefore, "createdBefore");
+    }
+  }
+  if (query.tags !== undefined) {
+    const tags = parseTags(query.tags);
+    if (tags.length > 0) filter.tags = { $all: tags };
+  }
+
+  return {
+    filter,
+    sort,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+    center,
+    radius,
+  };
+};
+
+// Condition selecting the items after the cursor in the given sort order
+const afterCursor = ({ field, direction }, cursor) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [op]: cursor.id } };
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Places nearest to the center first, each with its distance in meters
+const findByDistance = (match, { center, radius, cursor, limit }) =>
+  Place.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(center),
+        key: "location",
+        distanceField: "distance",
+        spherical: true,
+        query: match,
+        ...(radius !== null && { maxDistance: radius }),
+        // everything closer than the cursor was on earlier pages
+        ...(cursor && { minDistance: cursor.value }),
+      },
+    },
+    ...(cursor ? [{ $match: afterCursor(SORTS.distance, cursor) }] : []),
+    // $geoNear leaves places at the same distance in no particular order
+    { $sort: { distance: 1, _id: 1 } },
+    { $limit: limit + 1 },
+    { $project: HEAVY_FIELDS },
+  ]);
+
+// Places without a GeoJSON location never come out of $geoNear, so they
+// aren't counted either
+const countByDistance = (match, { center, radius }) =>
+  Place.countDocuments(
+    radius === null
+      ? { ...match, "location.type": "Point" }
+      : {
+          ...match,
+          location: {
+            $geoWithin: {
+              $centerSphere: [
+                [center.lng, center.lat],
+                radius / EARTH_RADIUS_M,
+              ],
+            },
+          },
+        },
+  );
+
+/**
+ * One page of places matching `baseFilter` and the listing's filters.
+ *
+ * @param {Object} baseFilter - e.g. { creatorId } for a user's places; ids
+ *   must already be ObjectIds, the distance sort runs an aggregation
+ * @param {Object} listing - from parseListingQuery
+ * @returns {Promise<{ places: Object[], total: number,
+ *   nextCursor: string | null }>} total counts every page, not just this one
+ */
+export const findPlacePage = async (baseFilter, listing) => {
+  const { sort, limit, cursor } = listing;
+  const { field, direction } = SORTS[sort];
+  const match = { ...baseFilter, ...listing.filter };
+
+  let docs;
+  let total;
+  if (sort === "distance") {
+    [docs, total] = await Promise.all([
+      findByDistance(match, listing),
+      countByDistance(match, listing),
+    ]);
+  } else {
+    const query = Place.find(
+      cursor ? { $and: [match, afterCursor(SORTS[sort], cursor)] } : match,
+      HEAVY_FIELDS,
+    )
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+    const count = Place.countDocuments(match);
+    if (sort === "title") {
+      query.collation(TITLE_COLLATION);
+      count.collation(TITLE_COLLATION);
+    }
+    [docs, total] = await Promise.all([query, count]);
+  }
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    places: page.map((doc) =>
+      sort === "distance"
+        ? {
+            ...Place.hydrate(doc).toObject({ getters: true }),
+            distance: Math.round(doc.distance),
+          }
+        : doc.toObject({ getters: true }),
+    ),
+    total,
+    nextCursor: hasMore
+      ? encodeCursor({
+          id: last._id.toString(),
+          ...(field !== "_id" && { value: last[field] }),
+        })
+      : null,
+  };
+};
@@ -0,0 +1,69 @@
+/**
+ * place-photos.js
+ *
+ * Helpers for a place's photo gallery. `place.image` and the place-level
+ * color fields always mirror the cover photo, so everything that predates
+ * galleries (mood filter, map pins, the frontend's `image`) keeps working.
+ */
+
+export const MAX_PHOTOS = 12;
+
+// Per-photo color analysis fields mirrored onto the place for its cover
+export const PHOTO_COLOR_FIELDS = [
+  "colorPalette",
+  "colorVector",
+  "isColorful",
+  "colorAnalyzedAt",
+  "colorAlgorithmVersion",
+];
+
+// Per-photo EXIF fields (util/exif.js), also mirrored from the cover
+export const PHOTO_CAPTURE_FIELDS = ["capturedAt", "cameraOrientation"];
+
+const MIRRORED_FIELDS = [...PHOTO_COLOR_FIELDS, ...PHOTO_CAPTURE_FIELDS];
+
+/**
+ * Photo fields for an upload handled by middleware/file-upload.js.
+ *
+ * @param {Object} file - req.file
+ */
+export const photoFromUpload = (file) => ({
+  url: file.path,
+  capturedAt: file.exif?.capturedAt ?? null,
+  cameraOrientation: file.exif?.orientation ?? null,
+});
+
+/**
+ * Give a place created before galleries existed a one-photo gallery built
+ * from its image and color data. Mutates the document; no-op otherwise.
+ *
+ * @param {Document} place
+ */
+export const ensurePhotos = (place) => {
+  if (place.photos.length > 0 || !place.image) return;
+
+  const data = place.toObject();
+  const photo = { url: place.image };
+  for (const field of MIRRORED_FIELDS) photo[field] = data[field];
+  place.photos.push(photo);
+  place.coverPhotoId = place.photos[0]._id;
+};
+
+/**
+ * Point coverPhotoId at an existing photo (the first one if the cover is
+ * gone) and copy the cover's URL, color data and capture data onto the
+ * place.
+ *
+ * @param {Document} place
+ */
+export const syncCover = (place) => {
+  const cover =
+    (place.coverPhotoId && place.photos.id(place.coverPhotoId)) ??
+    place.photos[0];
+  if (!cover) return;
+
+  const data = cover.toObject();
+  place.coverPhotoId = cover._id;
+  place.image = cover.url;
+  for (const field of MIRRORED_FIELDS) place[field] = data[field];
+};
@@ -0,0 +1,44 @@
+/**
+ * rank-fusion.js
+ *
+ * Reciprocal rank fusion (Cormack et al., 2009): merge ranked lists whose
+ * scores aren't comparable, such as cosine similarities and MongoDB
+ * textScores, using only each item's position. An item at rank r (1-based)
+ * in a list contributes 1 / (k + r); items missing from a list contribute
+ * nothing there.
+ */
+
+// The constant from the original paper; larger k flattens the difference
+// between top and lower ranks
+export const RRF_K = 60;
+
+/**
+ * @param {Object<string, string[]>} rankings - ids best first, by list name,
+ *   e.g. { semantic: [...], keyword: [...] }
+ * @param {Object} [options]
+ * @param {number} [options.k]
+ * @returns {Array<{ id: string, score: number, ranks: Object<string, number|null> }>}
+ *   best first; `ranks` holds each list's 1-based rank, null when absent
+ */
+export const reciprocalRankFusion = (rankings, { k = RRF_K } = {}) => {
+  const names = Object.keys(rankings);
+  const fused = new Map();
+
+  for (const name of names) {
+    rankings[name].forEach((id, index) => {
+      const key = String(id);
+      if (!fused.has(key)) {
+        fused.set(key, {
+          id: key,
+          score: 0,
+          ranks: Object.fromEntries(names.map((n) => [n, null])),
+        });
+      }
+      const item = fused.get(key);
+      item.score += 1 / (k + index + 1);
+      item.ranks[name] = index + 1;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,197 @@
+/**
+ * relevance-feedback.js
+ *
+ * "More like these, less like those" for color search: places the user has
+ * marked as good (positiveIds) or bad (negativeIds) examples refine the
+ * query, Rocchio-style:
+ *
+ *   q' = α·q + β·mean(positives) − γ·mean(negatives)
+ *
+ * Text embeddings are moved exactly like that. Palettes are sets of
+ * swatches rather than vectors, so each half is applied where it makes
+ * sense:
+ *   - positives: their palettes are merged into the query palette, the query
+ *     weighing α and the positives β between them (mergePalettes)
+ *   - negatives: a palette can't be subtracted, so they act in score space —
+ *     a candidate's color similarity is lowered by γ times its mean
+ *     similarity to the negative examples (feedbackColorSim). That is what
+ *     the formula above does to any linear similarity.
+ *
+ * An example's palette is its cover photo's, as for GET /:placeId/similar.
+ */
+
+import mongoose from "mongoose";
+
+import HttpError from "../models/http-error.js";
+import Place from "../models/place.js";
+import {
+  colorDataFromSwatches,
+  hexToRgb,
+  mergePalettes,
+} from "./color-service.js";
+import { INDEX_FIELDS, toEntry } from "./vector-index.js";
+
+// Classic SMART weights: keep the original query, lean on the positives,
+// be careful with the negatives (they are often only partly wrong)
+export const ROCCHIO_WEIGHTS = { alpha: 1, beta: 0.75, gamma: 0.15 };
+
+export const MAX_FEEDBACK_EXAMPLES = 20;
+
+/**
+ * Place ids from a request body field: an array (JSON bodies) or a
+ * comma-separated string (multipart forms).
+ *
+ * @throws {HttpError} 422 for invalid ids or too many of them
+ */
+const parseIds = (value, name) => {
+  if (value === undefined || value === "") return [];
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+  const ids = [...new Set(raw.map((id) => String(id).trim()))].filter(Boolean);
+
+  if (ids.length > MAX_FEEDBACK_EXAMPLES) {
+    throw new HttpError(
+      `${name} can list at most ${MAX_FEEDBACK_EXAMPLES} places.`,
+      422,
+    );
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new HttpError(`${name} must be a list of place ids.`, 422);
+  }
+  return ids;
+};
+
+/**
+ * Feedback ids from the request body.
+ *
+ * @param {Object} body - { positiveIds?, negativeIds? }
+ * @returns {{ positiveIds: string[], negativeIds: string[] }}
+ * @throws {HttpError} 422 for malformed lists or a place in both
+ */
+export const parseFeedback = (body = {}) => {
+  const positiveIds = parseIds(body.positiveIds, "positiveIds");
+  const negativeIds = parseIds(body.negativeIds, "negativeIds");
+  if (positiveIds.some((id) => negativeIds.includes(id))) {
+    throw new HttpError(
+      "A place can't be both a positive and a negative example.",
+      422,
+    );
+  }
+  return { positiveIds, negativeIds };
+};
+
+// Index entries for the given places, with the palette of each one's cover
+// photo; places without any current signal are left out
+const loadExamples = async (ids) => {
+  if (ids.length === 0) return [];
+  const places = await Place.find({ _id: { $in: ids } }).select(
+    `${INDEX_FIELDS} coverPhotoId`,
+  );
+  return places
+    .map((place) => {
+      const entry = toEntry(place);
+      if (!entry) return null;
+      const cover =
+        entry.photos.find((photo) => photo.id === String(place.coverPhotoId)) ??
+        entry.photos[0];
+      return {
+        id: entry.id,
+        textEmbedding: entry.textEmbedding,
+        colorPalette: cover?.colorPalette ?? null,
+      };
+    })
+    .filter(Boolean);
+};
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : null;
+};
+
+// Sum of weight × unit vector, over the vectors that match in length
+const addScaled = (target, vectors, weight) => {
+  for (const vector of vectors) {
+    const unit = normalize(Array.from(vector));
+    if (!unit || unit.length !== target.length) continue;
+    for (let i = 0; i < target.length; i++) target[i] += weight * unit[i];
+  }
+};
+
+const refineEmbedding = (query, positives, negatives) => {
+  const { alpha, beta, gamma } = ROCCHIO_WEIGHTS;
+  const pos = positives.map((e) => e.textEmbedding).filter(Boolean);
+  const neg = negatives.map((e) => e.textEmbedding).filter(Boolean);
+  // Negatives alone give nothing to move toward
+  if (!query && pos.length === 0) return query;
+
+  const dimensions = query?.length ?? pos[0].length;
+  const refined = new Array(dimensions).fill(0);
+  if (query) addScaled(refined, [query], alpha);
+  if (pos.length > 0) addScaled(refined, pos, beta / pos.length);
+  if (neg.length > 0) addScaled(refined, neg, -gamma / neg.length);
+  return normalize(refined) ?? query;
+};
+
+// Stored swatches carry hex and Lab; merging needs rgb
+const toSwatches = (palette) =>
+  palette.map(({ hex, population }) => ({
+    hex,
+    rgb: hexToRgb(hex),
+    population,
+  }));
+
+const refineColorData = (query, positives) => {
+  const { alpha, beta } = ROCCHIO_WEIGHTS;
+  const palettes = positives.map((e) => e.colorPalette).filter(Boolean);
+  if (palettes.length === 0) return query;
+
+  const sources = [
+    ...(query ? [toSwatches(query.colorPalette)] : []),
+    ...palettes.map(toSwatches),
+  ];
+  const weights = [
+    ...(query ? [alpha] : []),
+    ...palettes.map(() => beta / palettes.length),
+  ];
+  return colorDataFromSwatches(mergePalettes(sources, { weights }));
+};
+
+/**
+ * Move a color search query toward the positive examples and away from the
+ * negative ones.
+ *
+ * @param {{ colorData: Object|null, textEmbedding: number[]|null }} query
+ * @param {{ positiveIds: string[], negativeIds: string[] }} feedback
+ * @returns {Promise<{ colorData: Object|null, textEmbedding: number[]|null,
+ *   avoidPalettes: Array[], used: { positive: number, negative: number } }>}
+ *   avoidPalettes go to feedbackColorSim; `used` counts the examples that
+ *   had anything to contribute
+ */
+export const refineQuery = async (query, { positiveIds, negativeIds }) => {
+  const [positives, negatives] = await Promise.all([
+    loadExamples(positiveIds),
+    loadExamples(negativeIds),
+  ]);
+
+  return {
+    colorData: refineColorData(query.colorData, positives),
+    textEmbedding: refineEmbedding(query.textEmbedding, positives, negatives),
+    avoidPalettes: negatives.map((e) => e.colorPalette).filter(Boolean),
+    used: { positive: positives.length, negative: negatives.length },
+  };
+};
+
+/**
+ * A candidate's color similarity after the negative-feedback penalty:
+ * (sim − γ·avoidSim) / (1 − γ), clamped to [0, 1]. Rescaled so a candidate
+ * exactly as close to the negatives as to the query keeps its score.
+ *
+ * @param {number} sim - similarity to the (refined) query palette
+ * @param {number[]} avoidSims - similarity to each negative example's palette
+ * @returns {number}
+ */
+export const feedbackColorSim = (sim, avoidSims) => {
+  if (avoidSims.length === 0) return sim;
+  const { gamma } = ROCCHIO_WEIGHTS;
+  const avoidSim = avoidSims.reduce((sum, s) => sum + s, 0) / avoidSims.length;
+  return Math.min(1, Math.max(0, (sim - gamma * avoidSim) / (1 - gamma)));
+};
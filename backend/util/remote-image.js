@@ -0,0 +1,172 @@
+/**
+ * remote-image.js
+ *
+ * Downloads an image named by URL into memory, for color search queries
+ * (`imageUrl` on POST /api/places/search/color). Nothing is written to disk
+ * or handed to the storage driver.
+ *
+ * The URL comes from the client, so the server must not become a proxy into
+ * its own network: only http(s) is allowed, and every address a host name
+ * resolves to — including the targets of redirects — is checked against
+ * loopback, private and link-local ranges before connecting.
+ */
+
+import axios from "axios";
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+
+import HttpError from "../models/http-error.js";
+
+const TIMEOUT_MS = parseInt(process.env.REMOTE_IMAGE_TIMEOUT_MS) || 8000;
+// Same limit as uploads (middleware/file-upload.js)
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png"];
+
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, incl. cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // multicast and reserved
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["::ffff:0:0", 96], // IPv4-mapped, checked again as IPv4 below
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+const isBlocked = (address, family) => {
+  const type = family === 6 || family === "IPv6" ? "ipv6" : "ipv4";
+  const mapped =
+    type === "ipv6" && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+  return blockedAddresses.check(address, type);
+};
+
+const blockedError = (hostname) =>
+  Object.assign(new Error(`${hostname} is a private address`), {
+    code: "EBLOCKED",
+  });
+
+// axios and follow-redirects wrap errors raised while connecting
+const isBlockedError = (err) =>
+  Boolean(err) && (err.code === "EBLOCKED" || isBlockedError(err.cause));
+
+// Literal IPs skip DNS lookups, so they are checked on their own
+const isBlockedHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const family = net.isIP(host);
+  return family !== 0 && isBlocked(host, family);
+};
+
+// dns.lookup with every resolved address vetted. Sockets connect to the
+// address returned here, so a host can't resolve to a public address for
+// the check and a private one for the connection.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isBlocked(entry.address, entry.family))) {
+      return callback(blockedError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Redirects reuse the agents above; a redirect to a literal IP is caught here
+const checkRedirect = (options) => {
+  if (isBlockedHost(options.hostname)) throw blockedError(options.hostname);
+};
+
+/**
+ * Parse and vet an image URL from a request.
+ *
+ * @param {string} value
+ * @returns {URL}
+ * @throws {HttpError} 422 for anything but a public http(s) URL
+ */
+export const parseImageUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (err) {
+    throw new HttpError("imageUrl must be a valid URL.", 422);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new HttpError("imageUrl must be an http or https URL.", 422);
+  }
+  if (isBlockedHost(url.hostname)) {
+    throw new HttpError("imageUrl must point to a public address.", 422);
+  }
+  return url;
+};
+
+/**
+ * Download a JPG or PNG into memory.
+ *
+ * @param {string} value - the image URL
+ * @returns {Promise<Buffer>}
+ * @throws {HttpError} 422 when the URL is unusable or doesn't serve an
+ *   image, 502 when the remote server fails or times out
+ */
+export const fetchRemoteImage = async (value) => {
+  const url = parseImageUrl(value);
+
+  let response;
+  try {
+    response = await axios.get(url.href, {
+      responseType: "arraybuffer",
+      timeout: TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_SIZE,
+      maxRedirects: MAX_REDIRECTS,
+      httpAgent,
+      httpsAgent,
+      beforeRedirect: checkRedirect,
+      headers: { Accept: ALLOWED_MIME_TYPES.join(", ") },
+    });
+  } catch (err) {
+    if (isBlockedError(err)) {
+      throw new HttpError("imageUrl must point to a public address.", 422);
+    }
+    if (
+      err.code === "ERR_BAD_RESPONSE" &&
+      /maxContentLength/.test(err.message)
+    ) {
+      throw new HttpError("The image at imageUrl is larger than 10 MB.", 422);
+    }
+    if (err.response) {
+      throw new HttpError(
+        `Fetching imageUrl failed with status ${err.response.status}.`,
+        422,
+      );
+    }
+    console.warn("[remote-image] fetch failed:", err.message);
+    throw new HttpError("Could not fetch the image at imageUrl.", 502);
+  }
+
+  const mimetype = String(response.headers["content-type"] ?? "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+    throw new HttpError("imageUrl must point to a JPG or PNG image.", 422);
+  }
+
+  return Buffer.from(response.data);
+};
@@ -0,0 +1,230 @@
+/**
+ * score-calibration.js
+ *
+ * Turns raw similarities into calibrated match probabilities, so a color
+ * search score means the same thing for every query: 0.8 is "80% of pairs
+ * scoring like this were judged similar", whatever else is in the result
+ * set.
+ *
+ * Each channel gets a logistic (Platt) mapping of its raw similarity:
+ *
+ *   p = 1 / (1 + exp(−(slope · sim + intercept)))
+ *
+ * color: colorPaletteSimilarity, one mapping per color-difference metric
+ *        and falloff ("ciede2000/gaussian", …), since each spreads the raw
+ *        similarity differently — falling back to `default`
+ * text:  cosine of text embeddings, one mapping per embedding model — a
+ *        local hashing model and OpenAI spread their cosines very
+ *        differently — falling back to a hand-set curve for the provider
+ *        (`providers`), then to `default`
+ *
+ * Parameters and the per-channel pre-filter thresholds (as probabilities)
+ * live in data/score-calibration.json, or the file named by
+ * SCORE_CALIBRATION_FILE. scripts/fit-score-calibration.js fits them from
+ * labeled place pairs. The bundled defaults are hand-set, not fitted: their
+ * 50% points sit at the raw thresholds used before calibration (color 0.55
+ * with CIE76 / linear, text 0.7 for OpenAI). The local provider's curve puts
+ * it at 0.15 instead: its hashed features only overlap on shared words, so
+ * related descriptions land around 0.3 and unrelated ones near 0. A metric
+ * or model without its own mapping is only roughly calibrated, which
+ * calibrationInfo reports as colorFitted / textFitted: false.
+ * SCORE_COLOR_THRESHOLD / SCORE_TEXT_THRESHOLD override the thresholds
+ * without editing the file.
+ */
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import {
+  DEFAULT_COLOR_FALLOFF,
+  DEFAULT_COLOR_METRIC,
+  EMBEDDING_MODEL,
+  EMBEDDING_PROVIDER,
+} from "./color-service.js";
+
+export const CALIBRATION_FILE = process.env.SCORE_CALIBRATION_FILE
+  ? process.env.SCORE_CALIBRATION_FILE
+  : fileURLToPath(new URL("../data/score-calibration.json", import.meta.url));
+
+// Used when the file is missing or unreadable; same as the bundled file
+const DEFAULT_CALIBRATION = {
+  fittedAt: null,
+  thresholds: { color: 0.5, text: 0.5 },
+  color: { default: { slope: 12, intercept: -6.6 }, metrics: {} },
+  text: {
+    default: { slope: 15, intercept: -10.5 },
+    providers: { local: { slope: 20, intercept: -3 } },
+    models: {},
+  },
+};
+
+const isMapping = (value) =>
+  Number.isFinite(value?.slope) && Number.isFinite(value?.intercept);
+
+/**
+ * Read and check a calibration file.
+ *
+ * @param {string} [file]
+ * @returns {Object} { fittedAt, thresholds, color: { default, metrics },
+ *   text: { default, providers, models } }
+ * @throws {Error} when the file is missing or malformed
+ */
+export const readCalibration = (file = CALIBRATION_FILE) => {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!isMapping(config.color?.default) || !isMapping(config.text?.default)) {
+    throw new Error(
+      "color.default and text.default need a numeric slope / intercept",
+    );
+  }
+  const keyed = [
+    ...Object.values(config.color.metrics ?? {}),
+    ...Object.values(config.text.providers ?? {}),
+    ...Object.values(config.text.models ?? {}),
+  ];
+  if (keyed.some((m) => !isMapping(m))) {
+    throw new Error(
+      "every color.metrics / text.providers / text.models entry needs a slope / intercept",
+    );
+  }
+  return config;
+};
+
+/**
+ * Key of a color mapping in the calibration file.
+ *
+ * @param {{ metric?: string, falloff?: string }} [options]
+ * @returns {string} e.g. "ciede2000/gaussian"
+ */
+export const colorMetricKey = ({
+  metric = DEFAULT_COLOR_METRIC,
+  falloff = DEFAULT_COLOR_FALLOFF,
+} = {}) => `${metric}/${falloff}`;
+
+const loadCalibration = () => {
+  try {
+    return readCalibration();
+  } catch (err) {
+    console.warn(
+      `[score-calibration] Using built-in defaults, could not load ${CALIBRATION_FILE}:`,
+      err.message,
+    );
+    return DEFAULT_CALIBRATION;
+  }
+};
+
+const calibration = loadCalibration();
+
+// Which text curve applies: fitted for the model, hand-set for the
+// provider, or the OpenAI-shaped default
+const textCurve = calibration.text.models?.[EMBEDDING_MODEL]
+  ? "model"
+  : calibration.text.providers?.[EMBEDDING_PROVIDER]
+    ? "provider"
+    : "default";
+
+const textMapping =
+  calibration.text.models?.[EMBEDDING_MODEL] ??
+  calibration.text.providers?.[EMBEDDING_PROVIDER] ??
+  calibration.text.default;
+
+const envThreshold = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 && value <= 1 ? value : fallback;
+};
+
+/**
+ * Minimum calibrated probability for a channel to count as a match in the
+ * color search pre-filter.
+ */
+export const MATCH_THRESHOLDS = {
+  color: envThreshold(
+    "SCORE_COLOR_THRESHOLD",
+    calibration.thresholds?.color ?? 0.5,
+  ),
+  text: envThreshold(
+    "SCORE_TEXT_THRESHOLD",
+    calibration.thresholds?.text ?? 0.5,
+  ),
+};
+
+const colorMapping = (options) =>
+  calibration.color.metrics?.[colorMetricKey(options)] ??
+  calibration.color.default;
+
+/**
+ * What scores with the given color metric are calibrated with; sent along
+ * with search results.
+ *
+ * @param {{ metric?: string, falloff?: string }} [options]
+ */
+export const calibrationInfo = (options) => ({
+  fittedAt: calibration.fittedAt ?? null,
+  colorMetric: colorMetricKey(options),
+  colorFitted: Boolean(calibration.color.metrics?.[colorMetricKey(options)]),
+  textModel: EMBEDDING_MODEL,
+  textCurve,
+  textFitted: textCurve === "model",
+});
+
+export const logistic = ({ slope, intercept }, x) =>
+  1 / (1 + Math.exp(-(slope * x + intercept)));
+
+/**
+ * Calibrated probability for a raw palette similarity.
+ *
+ * @param {number} sim
+ * @param {{ metric?: string, falloff?: string }} [options] - what sim was
+ *   computed with (colorPaletteSimilarity's options)
+ */
+export const calibrateColor = (sim, options) =>
+  logistic(colorMapping(options), sim);
+
+/** Calibrated probability for a raw text embedding cosine. */
+export const calibrateText = (sim) => logistic(textMapping, sim);
+
+/**
+ * Fit a logistic mapping to labeled raw scores, by Platt's method: Newton
+ * steps on the log loss, with targets pulled slightly off 0 / 1 so a small
+ * sample can't push the curve into a step.
+ *
+ * @param {{ x: number, y: 0|1 }[]} samples
+ * @returns {{ slope: number, intercept: number }}
+ */
+export const fitLogistic = (samples) => {
+  const positives = samples.filter((s) => s.y === 1).length;
+  const negatives = samples.length - positives;
+  const high = (positives + 1) / (positives + 2);
+  const low = 1 / (negatives + 2);
+  const targets = samples.map((s) => (s.y === 1 ? high : low));
+
+  let slope = 0;
+  // start from the base rate
+  let intercept = Math.log((positives + 1) / (negatives + 1));
+  for (let iteration = 0; iteration < 100; iteration++) {
+    // Gradient and Hessian of the log loss in (slope, intercept); a tiny
+    // ridge keeps the Hessian invertible on separable data
+    let gS = 0;
+    let gI = 0;
+    let hSS = 1e-9;
+    let hSI = 0;
+    let hII = 1e-9;
+    samples.forEach(({ x }, i) => {
+      const p = logistic({ slope, intercept }, x);
+      const d = p - targets[i];
+      const w = p * (1 - p);
+      gS += d * x;
+      gI += d;
+      hSS += w * x * x;
+      hSI += w * x;
+      hII += w;
+    });
+    const det = hSS * hII - hSI * hSI;
+    if (!(Math.abs(det) > 0)) break;
+    const stepS = (hII * gS - hSI * gI) / det;
+    const stepI = (hSS * gI - hSI * gS) / det;
+    slope -= stepS;
+    intercept -= stepI;
+    if (Math.abs(stepS) < 1e-8 && Math.abs(stepI) < 1e-8) break;
+  }
+  return { slope, intercept };
+};
@@ -0,0 +1,87 @@
+/**
+ * Cloudinary storage driver. Keys are Cloudinary public ids
+ * ("wander_mark/abc123"); URLs are the https delivery URLs.
+ */
+
+import cloudinary, { uploadToCloudinary } from "../cloudinary.js";
+
+const UPLOAD_SEGMENT = "/image/upload/";
+
+// Delivery URL → public id: drop any transformation segments and the
+// version ("v1712345678"), then the file extension.
+const PUBLIC_ID_RE = /\/image\/upload\/(?:[^/]+\/)*?v\d+\/(.+)\.\w+$/;
+const UNVERSIONED_PUBLIC_ID_RE = /\/image\/upload\/(.+)\.\w+$/;
+
+const isOwnUrl = (url) =>
+  typeof url === "string" &&
+  url.includes(
+    `res.cloudinary.com/${cloudinary.config().cloud_name}${UPLOAD_SEGMENT}`,
+  );
+
+const cloudinaryDriver = {
+  name: "cloudinary",
+
+  put: async (buffer, { folder } = {}) => {
+    const result = await uploadToCloudinary(buffer, { folder });
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  getUrl: (key) => cloudinary.url(key, { secure: true }),
+
+  delete: async (key) => {
+    const { result } = await cloudinary.uploader.destroy(key);
+    // "not found" means it's already gone, which is what the caller wanted
+    if (result !== "ok" && result !== "not found") {
+      throw new Error(`Cloudinary could not delete ${key}: ${result}`);
+    }
+  },
+
+  // Resizing happens on Cloudinary's CDN, e.g. w_400,h_300,c_fill,q_auto,f_auto
+  transformUrl: (url, { width, height, crop = "fill" } = {}) => {
+    if (!isOwnUrl(url)) return url;
+    const transformation = [
+      width && `w_${width}`,
+      height && `h_${height}`,
+      (width || height) && `c_${crop}`,
+      "q_auto",
+      "f_auto",
+    ]
+      .filter(Boolean)
+      .join(",");
+    return url.replace(UPLOAD_SEGMENT, `${UPLOAD_SEGMENT}${transformation}/`);
+  },
+
+  keyFromUrl: (url) => {
+    if (!isOwnUrl(url)) return null;
+    const match =
+      url.match(PUBLIC_ID_RE) ?? url.match(UNVERSIONED_PUBLIC_ID_RE);
+    return match ? match[1] : null;
+  },
+
+  // node-vibrant fetches http(s) URLs itself
+  readableSource: (url) => url,
+
+  // Admin API, 500 resources per page
+  list: async function* ({ folder = "wander_mark" } = {}) {
+    let nextCursor;
+    do {
+      const page = await cloudinary.api.resources({
+        type: "upload",
+        resource_type: "image",
+        prefix: `${folder}/`,
+        max_results: 500,
+        next_cursor: nextCursor,
+      });
+      for (const resource of page.resources) {
+        yield {
+          key: resource.public_id,
+          url: resource.secure_url,
+          createdAt: new Date(resource.created_at),
+        };
+      }
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  },
+};
+
+export default cloudinaryDriver;
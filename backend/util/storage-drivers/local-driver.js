@@ -0,0 +1,96 @@
+/**
+ * Local-filesystem storage driver. Files are written under STORAGE_LOCAL_DIR
+ * (default backend/uploads) and served by app.js at /uploads, so the whole
+ * stack runs offline and in tests without Cloudinary credentials.
+ *
+ *   STORAGE_LOCAL_DIR   where files are written
+ *   STORAGE_PUBLIC_URL  URL prefix stored on documents
+ *                       (default http://localhost:$PORT/uploads)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import dotenv from "dotenv";
+import { v4 as uuid } from "uuid";
+
+dotenv.config();
+
+const ROUTE = "/uploads";
+const ROOT_DIR = path.resolve(
+  process.env.STORAGE_LOCAL_DIR ||
+    fileURLToPath(new URL("../../uploads", import.meta.url)),
+);
+const PUBLIC_URL = (
+  process.env.STORAGE_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5001}${ROUTE}`
+).replace(/\/+$/, "");
+
+const EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png" };
+
+// Keys come from URLs stored in the database; never let one point outside
+// the upload directory.
+const filePath = (key) => {
+  const resolved = path.resolve(ROOT_DIR, key);
+  if (!resolved.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return resolved;
+};
+
+const localDriver = {
+  name: "local",
+
+  put: async (buffer, { folder = "wander_mark", mimetype } = {}) => {
+    const key = `${folder}/${uuid()}${EXTENSIONS[mimetype] ?? ""}`;
+    const target = filePath(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return { key, url: localDriver.getUrl(key) };
+  },
+
+  getUrl: (key) => `${PUBLIC_URL}/${key}`,
+
+  delete: async (key) => {
+    await fs.rm(filePath(key), { force: true });
+  },
+
+  // No image processing locally: every size is the original file
+  transformUrl: (url) => url,
+
+  keyFromUrl: (url) =>
+    typeof url === "string" && url.startsWith(`${PUBLIC_URL}/`)
+      ? url.slice(PUBLIC_URL.length + 1)
+      : null,
+
+  // Read straight from disk, so scripts work while the server is down
+  readableSource: (url) => {
+    const key = localDriver.keyFromUrl(url);
+    return key ? filePath(key) : url;
+  },
+
+  list: async function* ({ folder = "wander_mark" } = {}) {
+    let entries;
+    try {
+      entries = await fs.readdir(filePath(folder), {
+        recursive: true,
+        withFileTypes: true,
+      });
+    } catch (err) {
+      if (err.code === "ENOENT") return; // nothing uploaded yet
+      throw err;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const file = path.join(entry.parentPath ?? entry.path, entry.name);
+      const key = path.relative(ROOT_DIR, file).split(path.sep).join("/");
+      const { mtime } = await fs.stat(file);
+      yield { key, url: localDriver.getUrl(key), createdAt: mtime };
+    }
+  },
+
+  staticRoute: { path: ROUTE, dir: ROOT_DIR },
+};
+
+export default localDriver;
@@ -0,0 +1,70 @@
+/**
+ * storage.js
+ *
+ * Selects where uploaded images are stored:
+ *
+ *   STORAGE_DRIVER=cloudinary  (default when CLOUDINARY_NAME is set)
+ *   STORAGE_DRIVER=local       files on disk, served at /uploads
+ *                              (default otherwise), see storage-drivers/local-driver.js
+ *
+ * Every driver implements:
+ *   name                         driver id
+ *   put(buffer, { folder?, mimetype? }) → { key, url }
+ *   getUrl(key)                  public URL for a key
+ *   delete(key)                  remove a stored file (no error if missing)
+ *   transformUrl(url, { width?, height?, crop? })
+ *                                resized variant of a stored image's URL, or
+ *                                the URL itself when the driver can't resize
+ *   keyFromUrl(url)              key of a URL this driver issued, else null
+ *   readableSource(url)          path or URL node-vibrant can read the image from
+ *   list({ folder? })            async iterable of { key, url, createdAt } for
+ *                                every stored file, used by the orphan sweep
+ *   staticRoute?                 { path, dir } for app.js to serve, if any
+ */
+
+import dotenv from "dotenv";
+
+import cloudinaryDriver from "./storage-drivers/cloudinary-driver.js";
+import localDriver from "./storage-drivers/local-driver.js";
+
+dotenv.config();
+
+const DRIVERS = { cloudinary: cloudinaryDriver, local: localDriver };
+
+const driverName =
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_NAME ? "cloudinary" : "local");
+
+const storage = DRIVERS[driverName];
+if (!storage) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}". ` +
+      `Expected one of: ${Object.keys(DRIVERS).join(", ")}.`,
+  );
+}
+
+export default storage;
+
+/**
+ * Delete a stored image by its key or by the URL saved on a document. Never
+ * throws: cleanup must not fail the request that triggered it, and whatever
+ * is missed here is caught by scripts/sweep-orphaned-images.js.
+ *
+ * @param {Object} image
+ * @param {string} [image.key]
+ * @param {string} [image.url]
+ * @returns {Promise<boolean>} whether a file was deleted
+ */
+export const discardImage = async ({ key, url }) => {
+  // URLs issued by another driver (or external URLs) have no key here
+  const target = key ?? storage.keyFromUrl(url);
+  if (!target) return false;
+
+  try {
+    await storage.delete(target);
+    return true;
+  } catch (err) {
+    console.error(`[storage] Could not delete ${target}:`, err.message);
+    return false;
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * text-search.js
+ *
+ * Keyword search over places (GET /api/places/search?q=). Matching and
+ * ranking are MongoDB's: the `place_text` index on title, description and
+ * address (models/place.js) with its stemming and `textScore`. This module
+ * validates the query and builds the highlighted snippets shown with each
+ * result.
+ *
+ * Highlights are returned as segments rather than HTML, so clients render
+ * them without having to trust markup built from user content:
+ *
+ *   [{ text: "Late-night ", match: false }, { text: "ramen", match: true }, …]
+ */
+
+import HttpError from "../models/http-error.js";
+
+export const MAX_QUERY_LENGTH = 200;
+
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The search string from the query string, trimmed.
+ *
+ * @throws {HttpError} 422 when missing or too long
+ */
+export const parseSearchQuery = (query) => {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (!q) {
+    throw new HttpError("Please provide a search query (q).", 422);
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new HttpError(
+      `Search queries must be at most ${MAX_QUERY_LENGTH} characters.`,
+      422,
+    );
+  }
+  return q;
+};
+
+/**
+ * Words to highlight for a $text search string: negated words ("-fish")
+ * are dropped, quoted phrases count word by word, possessives lose their
+ * "'s".
+ */
+export const searchTerms = (q) =>
+  q
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) =>
+      word
+        .replace(/['’]s$/iu, "")
+        .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""),
+    )
+    .filter((word) => word.length > 1);
+
+// Whole words starting with a term's stem; $text matches "ramens" for
+// "ramen" and "markets" for "market", so the highlight should too
+const termPattern = (terms) => {
+  const stems = [
+    ...new Set(
+      terms.map((term) => term.toLowerCase().replace(/(?<=\p{L}{3})s$/u, "")),
+    ),
+  ].sort((a, b) => b.length - a.length);
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${stems.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`,
+    "giu",
+  );
+};
+
+const segment = (text, pattern) => {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+  return segments;
+};
+
+// Window of `text` around its first match, cut at word boundaries
+const snippet = (text, pattern) => {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  pattern.lastIndex = 0;
+  let start = first
+    ? Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3))
+    : 0;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < end) start = space + 1;
+  }
+
+  return (
+    (start > 0 ? "…" : "") +
+    text.slice(start, end).trim() +
+    (end < text.length ? "…" : "")
+  );
+};
+
+/**
+ * Highlighted title, address and description snippet for one place.
+ *
+ * @param {{ title: string, address: string, description: string }} place
+ * @param {string[]} terms - from searchTerms
+ * @returns {{ title, address, description }} each an array of segments
+ */
+export const highlightPlace = (place, terms) => {
+  const fields = ["title", "address", "description"];
+  if (terms.length === 0) {
+    return Object.fromEntries(
+      fields.map((field) => [field, [{ text: place[field], match: false }]]),
+    );
+  }
+
+  const pattern = termPattern(terms);
+  return {
+    title: segment(place.title, pattern),
+    address: segment(place.address, pattern),
+    description: segment(snippet(place.description, pattern), pattern),
+  };
+};
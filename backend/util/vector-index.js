@@ -0,0 +1,248 @@
+/**
+ * vector-index.js
+ *
+ * Process-local index of every place's palette and text embedding, so that
+ * searchByColor scores candidates from memory instead of pulling each
+ * textEmbedding (up to 1536 floats) out of MongoDB on every request. Search only
+ * hydrates the final top-k documents.
+ *
+ * Entries hold only vectors produced by the current COLOR_ALGORITHM_VERSION
+ * and embedding provider configuration; stale signals are dropped at insert
+ * time. Embeddings are
+ * kept as Float32Array (~6 KB per place).
+ *
+ * Sync:
+ *   - built once at startup (buildVectorIndex)
+ *   - place-analysis.js refreshes a place after writing its vectors
+ *   - the places controller removes deleted places
+ *   - a periodic rebuild (VECTOR_INDEX_REFRESH_MS, default 5 min) picks up
+ *     writes made by other processes, e.g. scripts/reanalyze-places.js
+ */
+
+import Place from "../models/place.js";
+import { isColorDataCurrent, isEmbeddingCurrent } from "./color-service.js";
+import { matchesGeo } from "./geo.js";
+
+const REFRESH_INTERVAL_MS =
+  parseInt(process.env.VECTOR_INDEX_REFRESH_MS) || 5 * 60 * 1000;
+
+export const INDEX_FIELDS =
+  "creatorId coordinates colorPalette isColorful textEmbedding colorAlgorithmVersion embeddingProvider embeddingModel embeddingDimensions " +
+  "photos._id photos.url photos.colorPalette photos.isColorful photos.colorAlgorithmVersion";
+
+let entries = new Map(); // placeId → entry
+// Upserts/removes that land while a rebuild is streaming are replayed onto
+// the new map, otherwise the swap would silently undo them.
+let pendingOps = null;
+let buildPromise = null;
+let builtAt = null;
+let refreshTimer = null;
+
+const hasVectorsFilter = {
+  $or: [
+    { "colorPalette.0": { $exists: true } },
+    { "photos.colorPalette.0": { $exists: true } },
+    { "textEmbedding.0": { $exists: true } },
+  ],
+};
+
+const hasCurrentColor = (doc) =>
+  doc.colorPalette?.length > 0 && isColorDataCurrent(doc);
+
+const compactPalette = (palette) =>
+  palette.map(({ hex, lab, population }) => ({
+    hex,
+    lab: [...lab],
+    population,
+  }));
+
+/**
+ * Compact search entry for a place document, or null when it has no vector
+ * from the current algorithm version. Shared with the Atlas vector store so
+ * both backends hand scoreFn the same shape.
+ *
+ * `photos` lists every gallery photo with a current palette; places from
+ * before galleries get a single pseudo-photo (id null) from the place-level
+ * palette. `colorPalette` / `isColorful` stay the cover's.
+ */
+export const toEntry = (place) => {
+  const hasColor = hasCurrentColor(place);
+  const hasText = place.textEmbedding?.length > 0 && isEmbeddingCurrent(place);
+
+  const photos =
+    place.photos?.length > 0
+      ? place.photos.filter(hasCurrentColor).map((photo) => ({
+          id: String(photo._id),
+          url: photo.url,
+          colorPalette: compactPalette(photo.colorPalette),
+          isColorful: photo.isColorful ?? null,
+        }))
+      : hasColor
+        ? [
+            {
+              id: null,
+              url: null,
+              colorPalette: compactPalette(place.colorPalette),
+              isColorful: place.isColorful ?? null,
+            },
+          ]
+        : [];
+
+  if (photos.length === 0 && !hasText) return null;
+
+  return {
+    id: String(place._id),
+    creatorId: String(place.creatorId),
+    coordinates:
+      place.coordinates?.lat != null
+        ? { lat: place.coordinates.lat, lng: place.coordinates.lng }
+        : null,
+    colorPalette: hasColor ? compactPalette(place.colorPalette) : null,
+    isColorful: hasColor ? (place.isColorful ?? null) : null,
+    photos,
+    textEmbedding: hasText ? Float32Array.from(place.textEmbedding) : null,
+  };
+};
+
+/**
+ * (Re)build the whole index from MongoDB. Concurrent callers share one build.
+ */
+export const buildVectorIndex = () => {
+  if (buildPromise) return buildPromise;
+
+  buildPromise = (async () => {
+    const startedAt = Date.now();
+    const next = new Map();
+    pendingOps = [];
+    const cursor = Place.find(hasVectorsFilter)
+      .select(INDEX_FIELDS)
+      .lean()
+      .cursor();
+
+    for await (const place of cursor) {
+      const entry = toEntry(place);
+      if (entry) next.set(entry.id, entry);
+    }
+
+    for (const apply of pendingOps) apply(next);
+    entries = next;
+    builtAt = new Date();
+    console.log(
+      `[vector-index] Indexed ${entries.size} place(s) in ${Date.now() - startedAt}ms.`,
+    );
+  })().finally(() => {
+    pendingOps = null;
+    buildPromise = null;
+  });
+
+  return buildPromise;
+};
+
+// Search before the first build completes waits for it instead of
+// returning an empty result set.
+const ensureBuilt = async () => {
+  if (!builtAt) await buildVectorIndex();
+};
+
+/**
+ * Insert or replace a place from a document that includes the index fields.
+ */
+export const upsertIndexedPlace = (place) => {
+  const id = String(place._id);
+  const entry = toEntry(place);
+  const apply = (map) => (entry ? map.set(id, entry) : map.delete(id));
+  apply(entries);
+  pendingOps?.push(apply);
+};
+
+/**
+ * Reload one place from MongoDB, e.g. after its vectors were rewritten.
+ */
+export const refreshIndexedPlace = async (placeId) => {
+  const place = await Place.findById(placeId).select(INDEX_FIELDS).lean();
+  if (place) upsertIndexedPlace(place);
+  else removeIndexedPlace(placeId);
+};
+
+export const removeIndexedPlace = (placeId) => {
+  const apply = (map) => map.delete(String(placeId));
+  apply(entries);
+  pendingOps?.push(apply);
+};
+
+/**
+ * Score entries and keep the k best.
+ *
+ * @param {Iterable<Object>} candidates - entries as built by toEntry()
+ * @param {(entry: Object) => ({ score: number }|null)} scoreFn - returns null
+ *   to skip an entry; any other fields are passed through to the result
+ * @param {number} k
+ * @param {Object} [filter]
+ * @param {string} [filter.creatorId]
+ * @param {string[]} [filter.excludeIds]
+ * @param {Object} [filter.geo] - constraint from util/geo.js parseGeoQuery()
+ * @returns {{ results: Object[], matched: number, minScore: number, maxScore: number }}
+ *   results are sorted by score (desc) and carry `id`; matched/min/max cover
+ *   every entry scoreFn accepted, not just the top k
+ */
+export const rankEntries = (candidates, scoreFn, k, filter = {}) => {
+  const exclude = new Set((filter.excludeIds ?? []).map(String));
+  const results = [];
+  let matched = 0;
+  let minScore = Infinity;
+  let maxScore = -Infinity;
+
+  for (const entry of candidates) {
+    if (filter.creatorId && entry.creatorId !== String(filter.creatorId)) {
+      continue;
+    }
+    if (exclude.has(entry.id)) continue;
+    if (!matchesGeo(entry.coordinates, filter.geo)) continue;
+
+    const scored = scoreFn(entry);
+    if (!scored) continue;
+
+    matched++;
+    if (scored.score < minScore) minScore = scored.score;
+    if (scored.score > maxScore) maxScore = scored.score;
+
+    // Sorted insert into a list capped at k — k is small (tens), so this
+    // beats sorting every candidate.
+    if (
+      results.length < k ||
+      scored.score > results[results.length - 1].score
+    ) {
+      let i = results.length;
+      while (i > 0 && results[i - 1].score < scored.score) i--;
+      results.splice(i, 0, { id: entry.id, ...scored });
+      if (results.length > k) results.pop();
+    }
+  }
+
+  return { results, matched, minScore, maxScore };
+};
+
+/**
+ * Score every indexed place and keep the k best. See rankEntries().
+ */
+export const topK = async (scoreFn, k, filter = {}) => {
+  await ensureBuilt();
+  return rankEntries(entries.values(), scoreFn, k, filter);
+};
+
+export const vectorIndexStats = () => ({ size: entries.size, builtAt });
+
+/**
+ * Build now and rebuild periodically to pick up writes from other processes.
+ */
+export const startVectorIndex = async () => {
+  await buildVectorIndex();
+  if (!refreshTimer && REFRESH_INTERVAL_MS > 0) {
+    refreshTimer = setInterval(() => {
+      buildVectorIndex().catch((err) =>
+        console.error("[vector-index] Refresh failed:", err.message),
+      );
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * vector-migration.js
+ *
+ * Finds places whose colorVector / textEmbedding were produced by an older
+ * COLOR_ALGORITHM_VERSION or a different embedding provider, model or
+ * dimensionality, and re-derives them in the
+ * background through the job queue. Migration jobs run at a lower priority
+ * than fresh uploads, so a large backlog never delays new places.
+ *
+ * When the local embedding provider was only picked because OPENAI_API_KEY
+ * is missing (EMBEDDING_PROVIDER_FALLBACK), the startup migration leaves
+ * embeddings alone: a deploy that lost its key would otherwise overwrite
+ * every OpenAI vector. Set EMBEDDING_PROVIDER=local to re-embed on purpose.
+ */
+
+import Place from "../models/place.js";
+import {
+  COLOR_ALGORITHM_VERSION,
+  EMBEDDING_DIMENSIONS,
+  EMBEDDING_MODEL,
+  EMBEDDING_PROVIDER,
+  EMBEDDING_PROVIDER_FALLBACK,
+  LEGACY_COLOR_ALGORITHM_VERSION,
+  LEGACY_EMBEDDING_DIMENSIONS,
+  LEGACY_EMBEDDING_MODEL,
+  LEGACY_EMBEDDING_PROVIDER,
+} from "./color-service.js";
+import { enqueuePlaceAnalysis } from "./place-analysis.js";
+
+const MIGRATION_PRIORITY = -10;
+
+// Unversioned documents count as LEGACY_*, so they are only stale when the
+// current version has moved on from the legacy one.
+const currentValues = (current, legacy) =>
+  current === legacy ? [current, null] : [current];
+
+const staleColor = () => ({
+  colorAnalyzedAt: { $ne: null },
+  colorAlgorithmVersion: {
+    $nin: currentValues(
+      COLOR_ALGORITHM_VERSION,
+      LEGACY_COLOR_ALGORITHM_VERSION,
+    ),
+  },
+});
+
+const isColorStale = (doc) =>
+  Boolean(doc.colorAnalyzedAt) &&
+  !currentValues(
+    COLOR_ALGORITHM_VERSION,
+    LEGACY_COLOR_ALGORITHM_VERSION,
+  ).includes(doc.colorAlgorithmVersion ?? null);
+
+// The place-level fields mirror the cover photo, but any other gallery photo
+// can be stale on its own
+export const staleColorFilter = () => ({
+  $or: [staleColor(), { photos: { $elemMatch: staleColor() } }],
+});
+
+export const staleEmbeddingFilter = () => ({
+  "textEmbedding.0": { $exists: true },
+  $or: [
+    {
+      embeddingProvider: {
+        $nin: currentValues(EMBEDDING_PROVIDER, LEGACY_EMBEDDING_PROVIDER),
+      },
+    },
+    {
+      embeddingModel: {
+        $nin: currentValues(EMBEDDING_MODEL, LEGACY_EMBEDDING_MODEL),
+      },
+    },
+    {
+      embeddingDimensions: {
+        $nin: currentValues(EMBEDDING_DIMENSIONS, LEGACY_EMBEDDING_DIMENSIONS),
+      },
+    },
+  ],
+});
+
+export const staleVectorsFilter = () => ({
+  $or: [staleColorFilter(), staleEmbeddingFilter()],
+});
+
+/**
+ * Which pipeline steps a place needs to bring its vectors up to date.
+ *
+ * @param {Object} place - needs colorAnalyzedAt, colorAlgorithmVersion,
+ *   the same two fields of each photo, embeddingProvider, embeddingModel,
+ *   embeddingDimensions and whether textEmbedding is present
+ * @returns {string[]}
+ */
+export const staleSteps = (place) => {
+  const steps = [];
+  if (isColorStale(place) || (place.photos ?? []).some(isColorStale)) {
+    steps.push("color");
+  }
+  if (
+    place.textEmbedding?.length > 0 &&
+    (!currentValues(EMBEDDING_PROVIDER, LEGACY_EMBEDDING_PROVIDER).includes(
+      place.embeddingProvider ?? null,
+    ) ||
+      !currentValues(EMBEDDING_MODEL, LEGACY_EMBEDDING_MODEL).includes(
+        place.embeddingModel ?? null,
+      ) ||
+      !currentValues(
+        EMBEDDING_DIMENSIONS,
+        LEGACY_EMBEDDING_DIMENSIONS,
+      ).includes(place.embeddingDimensions ?? null))
+  ) {
+    steps.push("embedding");
+  }
+  return steps;
+};
+
+/**
+ * Queue re-analysis for every place with stale vectors. Safe to run on every
+ * startup: places that already have a queued job are deduplicated.
+ * Embeddings are left alone under EMBEDDING_PROVIDER_FALLBACK.
+ *
+ * @returns {Promise<number>} number of places queued
+ */
+export const runVectorMigration = async () => {
+  const cursor = Place.find(staleVectorsFilter())
+    .select(
+      "colorAnalyzedAt colorAlgorithmVersion photos.colorAnalyzedAt photos.colorAlgorithmVersion embeddingProvider embeddingModel embeddingDimensions",
+    )
+    .slice("textEmbedding", 1)
+    .lean()
+    .cursor();
+
+  let queued = 0;
+  let skippedEmbeddings = 0;
+  for await (const place of cursor) {
+    let steps = staleSteps(place);
+    if (EMBEDDING_PROVIDER_FALLBACK && steps.includes("embedding")) {
+      steps = steps.filter((step) => step !== "embedding");
+      skippedEmbeddings++;
+    }
+    if (steps.length === 0) continue;
+    await enqueuePlaceAnalysis(place._id, {
+      steps,
+      priority: MIGRATION_PRIORITY,
+    });
+    queued++;
+  }
+
+  if (skippedEmbeddings > 0) {
+    console.warn(
+      `[vector-migration] Left ${skippedEmbeddings} place(s) with embeddings ` +
+        `from another provider: OPENAI_API_KEY is not set, so the local ` +
+        `provider is only a fallback. Set EMBEDDING_PROVIDER=local to ` +
+        `re-embed them.`,
+    );
+  }
+  if (queued > 0) {
+    console.log(
+      `[vector-migration] Queued ${queued} place(s) for re-analysis ` +
+        `(color v${COLOR_ALGORITHM_VERSION}, ` +
+        `embeddings ${EMBEDDING_MODEL}/${EMBEDDING_DIMENSIONS}d).`,
+    );
+  }
+  return queued;
+};
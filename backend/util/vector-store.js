@@ -0,0 +1,42 @@
+/**
+ * vector-store.js
+ *
+ * Selects the vector search backend used by the search endpoints:
+ *
+ *   VECTOR_STORE=memory  (default) brute-force scoring over the in-process
+ *                        index in util/vector-index.js
+ *   VECTOR_STORE=atlas   MongoDB Atlas Vector Search ($vectorSearch) for ANN
+ *                        candidate retrieval, see vector-stores/atlas-store.js
+ *
+ * Every store implements:
+ *   name                      backend id, reported in search meta
+ *   init()                    prepare the backend at startup
+ *   search({ queryVectors, scoreFn, k, filter })
+ *                             → { results, matched, minScore, maxScore }
+ *       queryVectors  { textEmbedding?, colorVector? } of the query
+ *       scoreFn       (entry) → { score, ... } | null, see vector-index.js
+ *       filter        { creatorId?, excludeIds?, geo? }
+ *   refresh(placeId)          re-read a place after its vectors changed
+ *   remove(placeId)           forget a deleted place
+ */
+
+import dotenv from "dotenv";
+
+import memoryStore from "./vector-stores/memory-store.js";
+import atlasStore from "./vector-stores/atlas-store.js";
+
+dotenv.config();
+
+const STORES = { memory: memoryStore, atlas: atlasStore };
+
+const storeName = (process.env.VECTOR_STORE || "memory").toLowerCase();
+
+if (!STORES[storeName]) {
+  throw new Error(
+    `Unknown VECTOR_STORE "${storeName}". Use one of: ${Object.keys(STORES).join(", ")}.`,
+  );
+}
+
+const vectorStore = STORES[storeName];
+
+export default vectorStore;
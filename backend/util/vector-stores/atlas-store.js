@@ -0,0 +1,106 @@
+/**
+ * MongoDB Atlas Vector Search backend.
+ *
+ * Instead of scoring the whole catalog, each available query vector runs an
+ * approximate-nearest-neighbour `$vectorSearch` against its Atlas index, and
+ * only the union of those candidates is scored by scoreFn. Palette similarity
+ * (ΔE matching) has no Atlas equivalent, so colorVector ANN recall stands in
+ * for it at the candidate stage. colorVector is the cover photo's, so a
+ * place is only recalled through another gallery photo via its text.
+ * Geo constraints are applied to the candidates afterwards, so a narrow
+ * region can leave fewer than k results.
+ *
+ * The indexes must exist first: run `npm run atlas:indexes`.
+ */
+
+import mongoose from "mongoose";
+
+import Place from "../../models/place.js";
+import { EMBEDDING_DIMENSIONS } from "../color-service.js";
+import { INDEX_FIELDS, rankEntries, toEntry } from "../vector-index.js";
+
+// Candidates fetched per query vector = k × CANDIDATE_MULTIPLIER; Atlas
+// explores NUM_CANDIDATES_MULTIPLIER times that many graph nodes.
+const CANDIDATE_MULTIPLIER =
+  parseInt(process.env.ATLAS_VECTOR_CANDIDATE_MULTIPLIER) || 5;
+const NUM_CANDIDATES_MULTIPLIER = 20;
+
+export const ATLAS_VECTOR_INDEXES = {
+  textEmbedding: {
+    name: process.env.ATLAS_TEXT_INDEX || "place_text_embedding",
+    path: "textEmbedding",
+    numDimensions: EMBEDDING_DIMENSIONS,
+  },
+  colorVector: {
+    name: process.env.ATLAS_COLOR_INDEX || "place_color_vector",
+    path: "colorVector",
+    numDimensions: 15,
+  },
+};
+
+/**
+ * Atlas `vectorSearch` index definition for one vector field. creatorId is
+ * declared as a filter field so per-user searches are filtered inside Atlas.
+ */
+export const atlasIndexDefinition = ({ path, numDimensions }) => ({
+  fields: [
+    { type: "vector", path, numDimensions, similarity: "cosine" },
+    { type: "filter", path: "creatorId" },
+  ],
+});
+
+const INDEX_PROJECTION = Object.fromEntries(
+  INDEX_FIELDS.split(" ").map((field) => [field, 1]),
+);
+
+const vectorSearch = (index, queryVector, k, filter) => {
+  const limit = k * CANDIDATE_MULTIPLIER;
+  const stage = {
+    index: index.name,
+    path: index.path,
+    queryVector: Array.from(queryVector),
+    numCandidates: limit * NUM_CANDIDATES_MULTIPLIER,
+    limit,
+  };
+  if (filter.creatorId) {
+    stage.filter = {
+      creatorId: new mongoose.Types.ObjectId(String(filter.creatorId)),
+    };
+  }
+
+  return Place.aggregate([
+    { $vectorSearch: stage },
+    { $project: INDEX_PROJECTION },
+  ]);
+};
+
+const atlasStore = {
+  name: "atlas",
+
+  init: async () => {},
+
+  search: async ({ queryVectors = {}, scoreFn, k, filter = {} }) => {
+    const searches = Object.entries(ATLAS_VECTOR_INDEXES)
+      .filter(([field]) => queryVectors[field]?.length > 0)
+      .map(([field, index]) =>
+        vectorSearch(index, queryVectors[field], k, filter),
+      );
+
+    const candidates = new Map();
+    for (const docs of await Promise.all(searches)) {
+      for (const doc of docs) {
+        const entry = toEntry(doc);
+        if (entry) candidates.set(entry.id, entry);
+      }
+    }
+
+    return rankEntries(candidates.values(), scoreFn, k, filter);
+  },
+
+  // MongoDB is the source of truth; Atlas keeps its indexes in sync itself
+  refresh: async () => {},
+
+  remove: () => {},
+};
+
+export default atlasStore;
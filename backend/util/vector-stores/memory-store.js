@@ -0,0 +1,27 @@
+/**
+ * Brute-force in-process vector store backed by util/vector-index.js.
+ * Default backend — needs nothing beyond the app's own MongoDB connection.
+ */
+
+import {
+  startVectorIndex,
+  topK,
+  refreshIndexedPlace,
+  removeIndexedPlace,
+} from "../vector-index.js";
+
+const memoryStore = {
+  name: "memory",
+
+  init: startVectorIndex,
+
+  // Every indexed place is scored, so the query vectors themselves are only
+  // needed inside scoreFn.
+  search: ({ scoreFn, k, filter }) => topK(scoreFn, k, filter),
+
+  refresh: refreshIndexedPlace,
+
+  remove: removeIndexedPlace,
+};
+
+export default memoryStore;
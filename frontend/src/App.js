@@ -17,6 +17,8 @@ import useAuth from "./shared/hooks/auth-hook";
 import LoadingSpinner from "./shared/components/UIElements/LoadingSpinner";
 
 const ColorSearch = React.lazy(() => import("./places/pages/ColorSearch"));
+const ExploreMap = React.lazy(() => import("./places/pages/ExploreMap"));
+const SearchResults = React.lazy(() => import("./places/pages/SearchResults"));
 const Users = React.lazy(() => import("./users/pages/Users"));
 const NewPlace = React.lazy(() => import("./places/pages/NewPlace"));
 const UserPlaces = React.lazy(() => import("./places/pages/UserPlaces"));
@@ -45,6 +47,12 @@ function App() {
         <Route path="/color-search" exact>
           <ColorSearch />
         </Route>
+        <Route path="/explore" exact>
+          <ExploreMap />
+        </Route>
+        <Route path="/search" exact>
+          <SearchResults />
+        </Route>
         <Redirect to="/" />
       </Switch>
     );
@@ -63,6 +71,12 @@ function App() {
         <Route path="/color-search" exact>
           <ColorSearch />
         </Route>
+        <Route path="/explore" exact>
+          <ExploreMap />
+        </Route>
+        <Route path="/search" exact>
+          <SearchResults />
+        </Route>
         <Redirect to="/auth" />
       </Switch>
     );
@@ -0,0 +1,99 @@
+import { useRef, useState } from "react";
+
+import "./PlaceGallery.css";
+
+// Horizontal travel (px) a touch must cover to count as a swipe
+const SWIPE_THRESHOLD = 40;
+
+/**
+ * Swipeable photo gallery for a place card.
+ *
+ * Swipe (touch) or use the arrows / dots to move between photos. Calls
+ * `onChange(index)` whenever the visible photo changes, so the card can show
+ * that photo's palette.
+ */
+const PlaceGallery = ({ photos, title, initialIndex = 0, onChange }) => {
+  const [index, setIndex] = useState(initialIndex);
+  const touchStartX = useRef(null);
+
+  // Photos can be removed while the card is mounted
+  const current = Math.min(index, photos.length - 1);
+
+  const goTo = (next) => {
+    const wrapped = (next + photos.length) % photos.length;
+    setIndex(wrapped);
+    if (onChange) onChange(wrapped);
+  };
+
+  const touchStartHandler = (event) => {
+    touchStartX.current = event.touches[0].clientX;
+  };
+
+  const touchEndHandler = (event) => {
+    if (touchStartX.current === null) return;
+    const deltaX = event.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD) return;
+    goTo(deltaX < 0 ? current + 1 : current - 1);
+  };
+
+  if (photos.length <= 1) {
+    return <img src={photos[0]?.url} alt={title} />;
+  }
+
+  return (
+    <div
+      className="place-gallery"
+      onTouchStart={touchStartHandler}
+      onTouchEnd={touchEndHandler}
+    >
+      <div
+        className="place-gallery__track"
+        style={{ transform: `translateX(-${current * 100}%)` }}
+      >
+        {photos.map((photo, i) => (
+          <img
+            key={photo.id ?? i}
+            src={photo.url}
+            alt={`${title} (${i + 1}/${photos.length})`}
+            draggable={false}
+          />
+        ))}
+      </div>
+
+      <button
+        type="button"
+        className="place-gallery__nav place-gallery__nav--prev"
+        onClick={() => goTo(current - 1)}
+        aria-label="Previous photo"
+      >
+        ‹
+      </button>
+      <button
+        type="button"
+        className="place-gallery__nav place-gallery__nav--next"
+        onClick={() => goTo(current + 1)}
+        aria-label="Next photo"
+      >
+        ›
+      </button>
+
+      <div className="place-gallery__dots">
+        {photos.map((photo, i) => (
+          <button
+            key={photo.id ?? i}
+            type="button"
+            className={
+              "place-gallery__dot" +
+              (i === current ? " place-gallery__dot--active" : "")
+            }
+            onClick={() => goTo(i)}
+            aria-label={`Show photo ${i + 1}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PlaceGallery;
@@ -8,6 +8,7 @@ import ErrorModal from "../../shared/components/UIElements/ErrorModal";
 import LoadingSpinner from "../../shared/components/UIElements/LoadingSpinner";
 import { AuthContext } from "../../shared/context/auth-context";
 import useHttpClient from "../../shared/hooks/http-hook";
+import PlaceGallery from "./PlaceGallery";
 
 import "./PlaceItem.css";
 
@@ -46,6 +47,38 @@ const PlaceItem = (props) => {
     return () => clearTimeout(timer);
   }, [isProcessing, props.id, sendRequest]);
 
+  // ── Gallery ────────────────────────────────────────────────────────────────
+  // Places from before galleries have no photos; show their single image.
+  const photos =
+    props.photos?.length > 0
+      ? props.photos
+      : [{ id: null, url: currentImage, colorPalette: props.colorPalette }];
+  const coverIndex = Math.max(
+    photos.findIndex((photo) => photo.id === props.coverPhotoId),
+    0,
+  );
+  const [photoIndex, setPhotoIndex] = useState(coverIndex);
+  // The palette follows the photo on screen
+  const palette =
+    photos[Math.min(photoIndex, photos.length - 1)]?.colorPalette ??
+    props.colorPalette;
+
+  // "Find similar" seeds the search with the photo on screen once it has
+  // been analyzed, else with the place's cover
+  const shownPhoto = photos[Math.min(photoIndex, photos.length - 1)];
+  const similarParams = new URLSearchParams({ similarTo: props.id });
+  if (shownPhoto?.id && shownPhoto.colorPalette?.length > 0) {
+    similarParams.set("photoId", shownPhoto.id);
+  }
+
+  // Search results mark the words that matched the query
+  const highlighted = (field, text) =>
+    props.highlights?.[field]
+      ? props.highlights[field].map((part, i) =>
+          part.match ? <mark key={i}>{part.text}</mark> : part.text,
+        )
+      : text;
+
   const openMapHandler = () => setShowMap(true);
   const closeMapHandler = () => setShowMap(false);
   const openConfirmHandler = () => setShowConfirmModal(true);
@@ -117,19 +150,24 @@ const PlaceItem = (props) => {
                 </span>
               </div>
             ) : (
-              <img src={currentImage} alt={props.title} />
+              <PlaceGallery
+                photos={photos}
+                title={props.title}
+                initialIndex={coverIndex}
+                onChange={setPhotoIndex}
+              />
             )}
           </div>
 
           <div className="place-item__info">
-            <h2>{props.title}</h2>
-            <h3>{props.address}</h3>
-            <p>{props.description}</p>
+            <h2>{highlighted("title", props.title)}</h2>
+            <h3>{highlighted("address", props.address)}</h3>
+            <p>{highlighted("description", props.description)}</p>
           </div>
 
-          {props.colorPalette?.length > 0 && (
+          {palette?.length > 0 && (
             <div className="place-item__palette">
-              {props.colorPalette.map((swatch, i) => (
+              {palette.map((swatch, i) => (
                 <span
                   key={i}
                   className="place-item__palette-dot"
@@ -141,8 +179,14 @@ const PlaceItem = (props) => {
           )}
 
           <div className="place-item__actions">
-            <Button inverse onClick={openMapHandler}>
-              VIEW ON MAP
+            {/* Places whose address couldn't be geocoded have no position */}
+            {props.coordinates?.lat != null && (
+              <Button inverse onClick={openMapHandler}>
+                VIEW ON MAP
+              </Button>
+            )}
+            <Button inverse to={`/color-search?${similarParams}`}>
+              FIND SIMILAR
             </Button>
             {isLoggedIn && userId === props.creatorId && (
               <Button to={`/places/${props.id}`}>EDIT</Button>
@@ -27,6 +27,9 @@ const PlaceList = (props) => {
           creatorId={place.creatorId}
           coordinates={place.coordinates}
           colorPalette={place.colorPalette}
+          photos={place.photos}
+          coverPhotoId={place.coverPhotoId}
+          highlights={place.highlights}
           onDelete={props.onDeletePlace}
         />
       ))}
@@ -1,4 +1,5 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
+import { useHistory, useLocation } from "react-router-dom";
 
 import Card from "../../shared/components/UIElements/Card";
 import Modal from "../../shared/components/UIElements/Modal";
@@ -9,58 +10,125 @@ import useHttpClient from "../../shared/hooks/http-hook";
 
 import "./ColorSearch.css";
 
+// Same cap as the backend (util/color-query.js)
+const MAX_QUERY_IMAGES = 5;
+
 /**
  * ColorSearch page — the visual entry point for Colorwalk.
  *
  * Flow:
- *  1. User drops or picks a photo
- *  2. Frontend previews it immediately (no upload yet)
+ *  1. User drops or picks photos (up to MAX_QUERY_IMAGES, whose palettes the
+ *     backend merges), pastes an image URL and/or describes the place
+ *  2. Frontend previews the first photo immediately (no upload yet)
  *  3. On submit, sends multipart POST to /api/places/search/color
+ *     (or, for a mood swatch, GET /api/places/filter/color with its hex)
  *  4. Results rendered as cards with similarity score badge and palette dots
+ *  5. Thumbs up / down on result cards, then "Refine" re-runs the same query
+ *     with the rated places as positiveIds / negativeIds. Ratings accumulate
+ *     until a new photo or mood starts a fresh search
+ *
+ * "Find similar" on a place card opens this page with ?similarTo=<placeId>
+ * (and optionally &photoId=), which searches with that place's stored
+ * palette and text via GET /api/places/:placeId/similar instead.
+ *
+ * Mood presets and their place counts come from GET /api/moods, so the
+ * catalog can change without a frontend deploy.
  *
  * No auth required — the search endpoint is public.
  */
-const COLOR_MOODS = [
-  { label: "Crimson Dusk", hex: "#E05B4B", count: 23 },
-  { label: "Sahara Gold", hex: "#F2A65A", count: 18 },
-  { label: "Forest Calm", hex: "#5A9E72", count: 31 },
-  { label: "Arctic Blue", hex: "#4A90BF", count: 15 },
-  { label: "Lavender Sky", hex: "#9B6FCC", count: 12 },
-  { label: "Obsidian Night", hex: "#2C2C4A", count: 9 },
-];
 
 const ColorSearch = () => {
   const { isLoading, error, sendRequest, clearError } = useHttpClient();
+  // Separate client so loading the mood catalog doesn't show the search spinner
+  const { sendRequest: sendMoodsRequest } = useHttpClient();
 
   const [previewUrl, setPreviewUrl] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
   const [results, setResults] = useState(null);
   const [meta, setMeta] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [activeMood, setActiveMood] = useState(null);
+  const [moods, setMoods] = useState([]);
+  const [queryText, setQueryText] = useState("");
+  const [imageUrl, setImageUrl] = useState("");
+  // placeId → { vote: "up" | "down", title }
+  const [feedback, setFeedback] = useState({});
 
   const fileInputRef = useRef();
 
+  const history = useHistory();
+  const searchParams = new URLSearchParams(useLocation().search);
+  const similarTo = searchParams.get("similarTo");
+  const similarPhotoId = searchParams.get("photoId");
+
+  useEffect(() => {
+    const fetchMoods = async () => {
+      try {
+        const responseData = await sendMoodsRequest(
+          process.env.REACT_APP_BACKEND_URL + "/moods",
+        );
+        setMoods(responseData.moods);
+      } catch (err) {
+        // mood presets are optional — the photo search still works without them
+      }
+    };
+    fetchMoods();
+  }, [sendMoodsRequest]);
+
+  // ── "More like this" — seeded by an existing place ───────────────
+  useEffect(() => {
+    if (!similarTo) return;
+    const fetchSimilar = async () => {
+      setActiveMood(null);
+      setSelectedFiles([]);
+      setFeedback({});
+      setResults(null);
+      setMeta(null);
+      const params = new URLSearchParams({ limit: 12, threshold: 0.35 });
+      if (similarPhotoId) params.set("photoId", similarPhotoId);
+      try {
+        const responseData = await sendRequest(
+          process.env.REACT_APP_BACKEND_URL +
+            `/places/${similarTo}/similar?${params}`,
+        );
+        setPreviewUrl(responseData.meta.seed.url);
+        setResults(responseData.results);
+        setMeta(responseData.meta);
+      } catch (err) {
+        // error is surfaced via ErrorModal through useHttpClient
+      }
+    };
+    fetchSimilar();
+  }, [similarTo, similarPhotoId, sendRequest]);
+
+  // A new photo or mood replaces the seeded search
+  const clearSimilar = () => {
+    if (similarTo) history.replace("/color-search");
+  };
+
   // ── File selection helpers ────────────────────────────────────────
 
-  const handleFileChange = (file) => {
-    if (!file) return;
-    setSelectedFile(file);
+  const handleFileChange = (fileList) => {
+    const files = Array.from(fileList).slice(0, MAX_QUERY_IMAGES);
+    if (files.length === 0) return;
+    clearSimilar();
+    setSelectedFiles(files);
+    setFeedback({});
     setResults(null);
     setMeta(null);
     const reader = new FileReader();
     reader.onload = () => setPreviewUrl(reader.result);
-    reader.readAsDataURL(file);
+    reader.readAsDataURL(files[0]);
   };
 
   const onInputChange = (e) => {
-    handleFileChange(e.target.files[0]);
+    handleFileChange(e.target.files);
   };
 
   const onDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    handleFileChange(e.dataTransfer.files[0]);
+    handleFileChange(e.dataTransfer.files);
   };
 
   const onDragOver = (e) => {
@@ -70,31 +138,54 @@ const ColorSearch = () => {
 
   const onDragLeave = () => setIsDragging(false);
 
-  // ── Mood swatch search — creates a solid-color canvas blob ────────
+  // ── Mood swatch selection — searched via the color filter endpoint ─
   const moodSearchHandler = (mood) => {
-    setActiveMood(mood.hex);
+    clearSimilar();
+    setActiveMood(mood);
+    setSelectedFiles([]);
+    setFeedback({});
+    setPreviewUrl(mood.swatch); // use hex as flag; preview shows mood card
     setResults(null);
     setMeta(null);
-
-    const canvas = document.createElement("canvas");
-    canvas.width = 64;
-    canvas.height = 64;
-    const ctx = canvas.getContext("2d");
-    ctx.fillStyle = mood.hex;
-    ctx.fillRect(0, 0, 64, 64);
-
-    canvas.toBlob((blob) => {
-      const file = new File([blob], "mood.png", { type: "image/png" });
-      setSelectedFile(file);
-      setPreviewUrl(mood.hex); // use hex as flag; preview shows mood card
-    }, "image/png");
   };
 
   // ── Search submission ─────────────────────────────────────────────
   const searchHandler = async () => {
-    if (!selectedFile) return;
+    if (activeMood) {
+      try {
+        const responseData = await sendRequest(
+          process.env.REACT_APP_BACKEND_URL +
+            `/places/filter/color?mood=${encodeURIComponent(activeMood.key)}&limit=12`,
+        );
+        setResults(responseData.results);
+        setMeta(responseData.meta);
+      } catch (err) {
+        // error is surfaced via ErrorModal through useHttpClient
+      }
+      return;
+    }
+
+    // Photos, an image URL, a description, or any mix: the photos' palettes
+    // are merged, and the text is embedded and scored against each place's
+    // description alongside them. Rated results refine the query; a seeded
+    // search refines as a positive example of its seed place
+    const text = queryText.trim();
+    const url = imageUrl.trim();
+    const votedIds = (vote) =>
+      Object.keys(feedback).filter((id) => feedback[id].vote === vote);
+    const positiveIds = [...(similarTo ? [similarTo] : []), ...votedIds("up")];
+    const negativeIds = votedIds("down");
+    if (selectedFiles.length === 0 && !url && !text && !positiveIds.length) {
+      return;
+    }
     const formData = new FormData();
-    formData.append("image", selectedFile);
+    selectedFiles.forEach((file) => formData.append("image", file));
+    if (url) formData.append("imageUrl", url);
+    if (text) formData.append("queryText", text);
+    if (positiveIds.length)
+      formData.append("positiveIds", positiveIds.join(","));
+    if (negativeIds.length)
+      formData.append("negativeIds", negativeIds.join(","));
 
     try {
       const responseData = await sendRequest(
@@ -103,6 +194,7 @@ const ColorSearch = () => {
         "POST",
         formData,
       );
+      if (selectedFiles.length === 0 && url) setPreviewUrl(url);
       setResults(responseData.results);
       setMeta(responseData.meta);
     } catch (err) {
@@ -110,6 +202,23 @@ const ColorSearch = () => {
     }
   };
 
+  const hasQuery =
+    selectedFiles.length > 0 || imageUrl.trim() || queryText.trim();
+
+  // ── Relevance feedback ────────────────────────────────────────────
+  // Clicking the active thumb again takes the rating back
+
+  const voteHandler = (place, vote) => {
+    setFeedback((prev) => {
+      const next = { ...prev };
+      if (prev[place.id]?.vote === vote) delete next[place.id];
+      else next[place.id] = { vote, title: place.title };
+      return next;
+    });
+  };
+
+  const feedbackIds = Object.keys(feedback);
+
   // ── Score badge color ─────────────────────────────────────────────
 
   const scoreBadgeClass = (score) => {
@@ -118,6 +227,17 @@ const ColorSearch = () => {
     return "color-search__badge color-search__badge--low";
   };
 
+  // ── Matched photo ─────────────────────────────────────────────────
+  // Image search reports which gallery photo matched; show that photo and
+  // its palette instead of the cover.
+
+  const shownPhotoOf = (place) =>
+    (place.matchedPhoto &&
+      place.photos?.find((photo) => photo.id === place.matchedPhoto.id)) || {
+      url: place.image,
+      colorPalette: place.colorPalette,
+    };
+
   // ── Render ────────────────────────────────────────────────────────
 
   return (
@@ -151,13 +271,13 @@ const ColorSearch = () => {
               <div className="color-search__mood-preview">
                 <div
                   className="color-search__mood-preview-swatch"
-                  style={{ background: activeMood }}
+                  style={{ background: activeMood.swatch }}
                 />
                 <p className="color-search__mood-preview-label">
                   Searching by color mood
                 </p>
                 <span className="color-search__mood-preview-hex">
-                  {activeMood}
+                  {activeMood.swatch}
                 </span>
               </div>
             ) : previewUrl ? (
@@ -180,6 +300,16 @@ const ColorSearch = () => {
                     ))}
                   </div>
                 )}
+                {selectedFiles.length > 1 && (
+                  <p className="color-search__seed-label">
+                    {selectedFiles.length} photos — palettes merged
+                  </p>
+                )}
+                {meta?.seed && (
+                  <p className="color-search__seed-label">
+                    More like <strong>{meta.seed.title}</strong>
+                  </p>
+                )}
               </div>
             ) : (
               /* Empty state */
@@ -190,8 +320,8 @@ const ColorSearch = () => {
                   <span className="color-search__blob color-search__blob--3" />
                   <span className="color-search__blob color-search__blob--4" />
                 </div>
-                <p>Drop a photo here or click to browse</p>
-                <span>JPG · PNG · JPEG</span>
+                <p>Drop photos here or click to browse</p>
+                <span>JPG · PNG · JPEG · up to {MAX_QUERY_IMAGES}</span>
               </div>
             )}
           </div>
@@ -200,6 +330,7 @@ const ColorSearch = () => {
             ref={fileInputRef}
             type="file"
             accept=".jpg,.jpeg,.png"
+            multiple
             style={{ display: "none" }}
             onChange={(e) => {
               setActiveMood(null);
@@ -207,38 +338,64 @@ const ColorSearch = () => {
             }}
           />
 
+          <input
+            type="url"
+            className="color-search__text-input"
+            placeholder="…or paste an image URL"
+            aria-label="Image URL to search with"
+            value={imageUrl}
+            onChange={(e) => {
+              clearSimilar();
+              setImageUrl(e.target.value);
+            }}
+            disabled={!!activeMood}
+          />
+
+          <input
+            type="text"
+            className="color-search__text-input"
+            placeholder="Describe the vibe, e.g. “misty morning harbor”"
+            aria-label="Describe the place you're looking for"
+            maxLength={200}
+            value={queryText}
+            onChange={(e) => setQueryText(e.target.value)}
+            disabled={!!activeMood}
+          />
+
           <button
             className="color-search__btn"
             onClick={searchHandler}
-            disabled={!selectedFile || isLoading}
+            disabled={(!hasQuery && !activeMood) || isLoading}
           >
             {isLoading ? "Searching…" : "Find Similar Places →"}
           </button>
         </Card>
 
         {/* Right: Color mood presets */}
-        <div className="color-search__moods">
-          <p className="color-search__moods-label">Or pick a mood</p>
-          <ul className="color-search__moods-list">
-            {COLOR_MOODS.map((mood) => (
-              <li
-                key={mood.hex}
-                className={`color-search__mood-item${activeMood === mood.hex ? " color-search__mood-item--active" : ""}`}
-                onClick={() => moodSearchHandler(mood)}
-                style={{ "--mood-color": mood.hex }}
-              >
-                <span
-                  className="color-search__mood-swatch"
-                  style={{ background: mood.hex }}
-                />
-                <span className="color-search__mood-name">{mood.label}</span>
-                <span className="color-search__mood-count">
-                  {mood.count} places
-                </span>
-              </li>
-            ))}
-          </ul>
-        </div>
+        {moods.length > 0 && (
+          <div className="color-search__moods">
+            <p className="color-search__moods-label">Or pick a mood</p>
+            <ul className="color-search__moods-list">
+              {moods.map((mood) => (
+                <li
+                  key={mood.key}
+                  className={`color-search__mood-item${activeMood?.key === mood.key ? " color-search__mood-item--active" : ""}`}
+                  onClick={() => moodSearchHandler(mood)}
+                  style={{ "--mood-color": mood.swatch }}
+                >
+                  <span
+                    className="color-search__mood-swatch"
+                    style={{ background: mood.swatch }}
+                  />
+                  <span className="color-search__mood-name">{mood.label}</span>
+                  <span className="color-search__mood-count">
+                    {mood.count} place{mood.count !== 1 ? "s" : ""}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
       {/* end two-column grid */}
 
@@ -256,12 +413,18 @@ const ColorSearch = () => {
             {results.length} result{results.length !== 1 ? "s" : ""}
           </span>
           <span className="color-search__meta-divider">·</span>
-          <span>
-            Weights: color&nbsp;
-            <strong>{Math.round(meta.weightsUsed.colorWeight * 100)}%</strong>
-            &nbsp;/ text&nbsp;
-            <strong>{Math.round(meta.weightsUsed.textWeight * 100)}%</strong>
-          </span>
+          {meta.weightsUsed ? (
+            <span>
+              Weights: color&nbsp;
+              <strong>{Math.round(meta.weightsUsed.colorWeight * 100)}%</strong>
+              &nbsp;/ text&nbsp;
+              <strong>{Math.round(meta.weightsUsed.textWeight * 100)}%</strong>
+            </span>
+          ) : (
+            <span>
+              Within ΔE&nbsp;<strong>{meta.tolerance}</strong>
+            </span>
+          )}
           {meta.queryIsColorful === false && (
             <>
               <span className="color-search__meta-divider">·</span>
@@ -273,6 +436,41 @@ const ColorSearch = () => {
         </div>
       )}
 
+      {/* Feedback bar — rated places, kept across refinements */}
+      {feedbackIds.length > 0 && !isLoading && (
+        <div className="color-search__feedback">
+          <ul className="color-search__feedback-list">
+            {feedbackIds.map((id) => (
+              <li
+                key={id}
+                className={`color-search__feedback-chip color-search__feedback-chip--${feedback[id].vote}`}
+              >
+                {feedback[id].vote === "up" ? "👍" : "👎"} {feedback[id].title}
+                <button
+                  type="button"
+                  aria-label={`Remove rating for ${feedback[id].title}`}
+                  onClick={() =>
+                    voteHandler({ id, ...feedback[id] }, feedback[id].vote)
+                  }
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button className="color-search__btn" onClick={searchHandler}>
+            Refine search →
+          </button>
+          <button
+            type="button"
+            className="color-search__feedback-clear"
+            onClick={() => setFeedback({})}
+          >
+            Clear ratings
+          </button>
+        </div>
+      )}
+
       {/* Results grid */}
       {results && !isLoading && (
         <>
@@ -302,58 +500,104 @@ const ColorSearch = () => {
             </Modal>
           ) : (
             <ul className="color-search__results">
-              {results.map((place) => (
-                <li key={place.id} className="color-search__result-item">
-                  <Card className="color-search__result-card">
-                    {/* Thumbnail */}
-                    <div className="color-search__result-image">
-                      <img src={place.image} alt={place.title} />
-                      {/* Similarity badge */}
-                      <span className={scoreBadgeClass(place.similarityScore)}>
-                        {Math.round(place.similarityScore * 100)}%
-                      </span>
-                    </div>
-
-                    {/* Info */}
-                    <div className="color-search__result-info">
-                      <h3>{place.title}</h3>
-                      <p className="color-search__result-address">
-                        {place.address}
-                      </p>
-                      <p className="color-search__result-desc">
-                        {place.description}
-                      </p>
-                    </div>
-
-                    {/* Color palette dots */}
-                    {place.colorPalette?.length > 0 && (
-                      <div className="color-search__result-palette">
-                        {place.colorPalette.map((swatch, i) => (
-                          <span
-                            key={i}
-                            className="color-search__palette-dot"
-                            style={{ backgroundColor: swatch.hex }}
-                            title={swatch.hex}
-                          />
-                        ))}
-                      </div>
-                    )}
-
-                    {/* Score breakdown — collapsed by default, useful for demos */}
-                    <details className="color-search__breakdown">
-                      <summary>Score breakdown</summary>
-                      <div className="color-search__breakdown-body">
-                        <span>
-                          Color: {Math.round(place.scoreBreakdown.color * 100)}%
-                        </span>
-                        <span>
-                          Text: {Math.round(place.scoreBreakdown.text * 100)}%
+              {results.map((place) => {
+                const shown = shownPhotoOf(place);
+                return (
+                  <li key={place.id} className="color-search__result-item">
+                    <Card className="color-search__result-card">
+                      {/* Thumbnail */}
+                      <div className="color-search__result-image">
+                        <img src={shown.url} alt={place.title} />
+                        {/* Similarity badge — a calibrated match probability
+                            for image search, so 80% means the same for every
+                            query; the raw blend is in the tooltip */}
+                        <span
+                          className={scoreBadgeClass(
+                            place.similarityScore ?? place.matchScore,
+                          )}
+                          title={
+                            place.rawScore !== undefined
+                              ? `Match likelihood · raw similarity ${place.rawScore.toFixed(2)}`
+                              : undefined
+                          }
+                        >
+                          {Math.round(
+                            (place.similarityScore ?? place.matchScore) * 100,
+                          )}
+                          %
                         </span>
                       </div>
-                    </details>
-                  </Card>
-                </li>
-              ))}
+
+                      {/* Info */}
+                      <div className="color-search__result-info">
+                        <h3>{place.title}</h3>
+                        <p className="color-search__result-address">
+                          {place.address}
+                        </p>
+                        <p className="color-search__result-desc">
+                          {place.description}
+                        </p>
+                      </div>
+
+                      {/* Color palette dots */}
+                      {shown.colorPalette?.length > 0 && (
+                        <div className="color-search__result-palette">
+                          {shown.colorPalette.map((swatch, i) => (
+                            <span
+                              key={i}
+                              className="color-search__palette-dot"
+                              style={{ backgroundColor: swatch.hex }}
+                              title={swatch.hex}
+                            />
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Thumbs — hybrid search results only, moods are a plain filter */}
+                      {meta?.weightsUsed && (
+                        <div className="color-search__votes">
+                          {[
+                            ["up", "👍", "More like this"],
+                            ["down", "👎", "Less like this"],
+                          ].map(([vote, icon, label]) => (
+                            <button
+                              key={vote}
+                              type="button"
+                              className={`color-search__vote${feedback[place.id]?.vote === vote ? " color-search__vote--active" : ""}`}
+                              aria-label={label}
+                              aria-pressed={feedback[place.id]?.vote === vote}
+                              title={label}
+                              onClick={() => voteHandler(place, vote)}
+                            >
+                              {icon}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Score breakdown — collapsed by default, useful for demos */}
+                      {place.scoreBreakdown && (
+                        <details className="color-search__breakdown">
+                          <summary>Score breakdown</summary>
+                          <div className="color-search__breakdown-body">
+                            {["color", "text"].map((channel) => (
+                              <span key={channel}>
+                                {channel === "color" ? "Color" : "Text"}:{" "}
+                                {Math.round(
+                                  place.scoreBreakdown.calibrated[channel] *
+                                    100,
+                                )}
+                                % (raw{" "}
+                                {place.scoreBreakdown[channel].toFixed(2)})
+                              </span>
+                            ))}
+                          </div>
+                        </details>
+                      )}
+                    </Card>
+                  </li>
+                );
+              })}
             </ul>
           )}
         </>
@@ -0,0 +1,142 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+
+import Map from "../../shared/components/UIElements/Map";
+import Card from "../../shared/components/UIElements/Card";
+import ErrorModal from "../../shared/components/UIElements/ErrorModal";
+import useHttpClient from "../../shared/hooks/http-hook";
+
+import "./ExploreMap.css";
+
+/**
+ * ExploreMap page — every place on one full-screen map.
+ *
+ * Only the visible viewport is loaded: each time the map comes to rest it
+ * asks GET /api/places/within?bbox=… for the places inside it. Pins take the
+ * place's dominant palette color and merge into clusters when zoomed out;
+ * clicking a pin opens a preview card.
+ *
+ * No auth required — /within is public.
+ */
+
+const WORLD_CENTER = { lat: 20, lng: 0 };
+const WORLD_ZOOM = 2;
+const PAGE_SIZE = 100; // the backend's maximum page size
+
+const ExploreMap = () => {
+  const { isLoading, error, sendRequest, clearError } = useHttpClient();
+
+  const [places, setPlaces] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  // Panning fires a request per stop; only the latest one may update the map
+  const latestRequest = useRef(0);
+
+  // ── Viewport loading ──────────────────────────────────────────────
+  const boundsChangeHandler = useCallback(
+    async ({ west, south, east, north }) => {
+      const requestId = ++latestRequest.current;
+      const bbox = [west, south, east, north]
+        .map((value) => value.toFixed(6))
+        .join(",");
+      try {
+        const responseData = await sendRequest(
+          process.env.REACT_APP_BACKEND_URL +
+            `/places/within?bbox=${bbox}&limit=${PAGE_SIZE}`,
+        );
+        if (requestId !== latestRequest.current) return;
+        setPlaces(responseData.places);
+        setTotal(responseData.pagination.total);
+      } catch (err) {
+        // error is surfaced via ErrorModal through useHttpClient
+      }
+    },
+    [sendRequest],
+  );
+
+  // ── Markers — one per place, colored by its top palette swatch ────
+  // Memoized so the map only redraws its pins when the places change
+  const markers = useMemo(
+    () =>
+      places.map((place) => ({
+        id: place.id,
+        position: place.coordinates,
+        color: place.colorPalette?.[0]?.hex,
+        title: place.title,
+      })),
+    [places],
+  );
+
+  const markerClickHandler = (marker) => {
+    setSelected(places.find((place) => place.id === marker.id) || null);
+  };
+
+  // ── Render ────────────────────────────────────────────────────────
+
+  return (
+    <div className="explore-map">
+      <ErrorModal error={error} onClear={clearError} />
+
+      <Map
+        className="explore-map__map"
+        center={WORLD_CENTER}
+        zoom={WORLD_ZOOM}
+        markers={markers}
+        cluster
+        onMarkerClick={markerClickHandler}
+        onBoundsChange={boundsChangeHandler}
+      />
+
+      {/* Status strip */}
+      <div className="explore-map__status">
+        {isLoading
+          ? "Loading places…"
+          : total > places.length
+            ? `Showing ${places.length} of ${total} places — zoom in to see more`
+            : `${total} place${total !== 1 ? "s" : ""} in view`}
+      </div>
+
+      {/* Preview card */}
+      {selected && (
+        <Card className="explore-map__preview">
+          <button
+            className="explore-map__preview-close"
+            onClick={() => setSelected(null)}
+            aria-label="Close preview"
+          >
+            ×
+          </button>
+          <img
+            className="explore-map__preview-image"
+            src={selected.image}
+            alt={selected.title}
+          />
+          <div className="explore-map__preview-info">
+            <h3>{selected.title}</h3>
+            <p>{selected.address}</p>
+            {selected.colorPalette?.length > 0 && (
+              <div className="explore-map__preview-palette">
+                {selected.colorPalette.map((swatch, i) => (
+                  <span
+                    key={i}
+                    style={{ backgroundColor: swatch.hex }}
+                    title={swatch.hex}
+                  />
+                ))}
+              </div>
+            )}
+            <Link
+              className="explore-map__preview-link"
+              to={`/${selected.creatorId}/places`}
+            >
+              More places from this traveler →
+            </Link>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default ExploreMap;
@@ -1,4 +1,4 @@
-import { useContext } from "react";
+import { useContext, useEffect, useState } from "react";
 import { useHistory } from "react-router-dom/cjs/react-router-dom.min";
 
 import Input from "../../shared/components/FormElements/Input";
@@ -31,6 +31,46 @@ const NewPlace = () => {
     false,
   );
 
+  // ── Photo location ───────────────────────────────────────────────────────
+  // Phone photos usually carry GPS tags; offer them instead of the typed
+  // address. The lookup is best-effort, so any failure just hides the offer.
+  const imageFile = formState.inputs.image.value;
+  const [photoLocation, setPhotoLocation] = useState(null);
+  const [useImageLocation, setUseImageLocation] = useState(false);
+
+  useEffect(() => {
+    setPhotoLocation(null);
+    setUseImageLocation(false);
+    if (!imageFile) return;
+
+    const abortCtrl = new AbortController();
+    const formData = new FormData();
+    formData.append("image", imageFile);
+    fetch(process.env.REACT_APP_BACKEND_URL + "/places/photo-metadata", {
+      method: "POST",
+      body: formData,
+      headers: { Authorization: "Bearer " + token },
+      signal: abortCtrl.signal,
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!data?.location) return;
+        setPhotoLocation(data.location);
+        setUseImageLocation(true);
+      })
+      .catch(() => {});
+
+    return () => abortCtrl.abort();
+  }, [imageFile, token]);
+
+  // The address may stay blank when the photo's location is used
+  const { title, description, address, image } = formState.inputs;
+  const formIsValid =
+    title.isValid &&
+    description.isValid &&
+    image.isValid &&
+    (address.isValid || useImageLocation);
+
   const placeSubmitHandler = async (event) => {
     event.preventDefault();
     try {
@@ -39,6 +79,7 @@ const NewPlace = () => {
       formData.append("address", formState.inputs.address?.value);
       formData.append("description", formState.inputs.description?.value);
       formData.append("image", formState.inputs.image?.value);
+      formData.append("useImageLocation", String(useImageLocation));
 
       // ── Optimistic navigation ────────────────────────────────────────────
       // The backend now responds in ~150ms (MongoDB saved, Cloudinary async).
@@ -94,7 +135,17 @@ const NewPlace = () => {
           onInput={inputHandler}
           errorText="Please upload an image."
         />
-        <Button type="submit" disabled={!formState.isValid}>
+        {photoLocation && (
+          <label className="place-form__photo-location">
+            <input
+              type="checkbox"
+              checked={useImageLocation}
+              onChange={(event) => setUseImageLocation(event.target.checked)}
+            />
+            📍 Use the photo's location: {photoLocation.address}
+          </label>
+        )}
+        <Button type="submit" disabled={!formIsValid}>
           ADD PLACE
         </Button>
       </form>
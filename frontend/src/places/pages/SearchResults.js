@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useLocation } from "react-router-dom";
+
+import PlaceList from "../components/PlaceList";
+import Card from "../../shared/components/UIElements/Card";
+import Button from "../../shared/components/FormElements/Button";
+import ErrorModal from "../../shared/components/UIElements/ErrorModal";
+import LoadingSpinner from "../../shared/components/UIElements/LoadingSpinner";
+import useHttpClient from "../../shared/hooks/http-hook";
+
+import "./SearchResults.css";
+
+const PAGE_SIZE = 12;
+
+/**
+ * SearchResults page — keyword search from the header's search bar.
+ *
+ * Reads `q` from the URL, so results can be shared and survive a reload,
+ * and asks GET /api/places/search for it. Matches come back best first with
+ * the matching words marked in each card.
+ */
+const SearchResults = () => {
+  const q = new URLSearchParams(useLocation().search).get("q")?.trim() || "";
+  const { isLoading, error, sendRequest, clearError } = useHttpClient();
+  const [places, setPlaces] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [nextPage, setNextPage] = useState(null);
+
+  // The query the list belongs to; a page that arrives after `q` changed
+  // is dropped instead of landing in the new list
+  const activeQuery = useRef(q);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      const params = new URLSearchParams({ q, page, limit: PAGE_SIZE });
+      try {
+        const responseData = await sendRequest(
+          process.env.REACT_APP_BACKEND_URL + `/places/search?${params}`,
+        );
+        if (q !== activeQuery.current) return;
+        setPlaces((prev) =>
+          page > 1
+            ? [...(prev ?? []), ...responseData.places]
+            : responseData.places,
+        );
+        setTotal(responseData.pagination.total);
+        setNextPage(responseData.pagination.hasMore ? page + 1 : null);
+      } catch (err) {}
+    },
+    [sendRequest, q],
+  );
+
+  useEffect(() => {
+    activeQuery.current = q;
+    setPlaces(null);
+    setNextPage(null);
+    if (q) fetchPage(1);
+  }, [q, fetchPage]);
+
+  const deletePlaceHandler = (deletedPlaceId) => {
+    setPlaces((prev) => prev.filter((p) => p.id !== deletedPlaceId));
+    setTotal((prev) => prev - 1);
+  };
+
+  return (
+    <div className="search-results">
+      <ErrorModal error={error} onClear={clearError} />
+
+      {places && (
+        <p className="search-results__summary">
+          {total} result{total !== 1 ? "s" : ""} for <strong>“{q}”</strong>
+        </p>
+      )}
+
+      {!q && (
+        <Card className="search-results__empty">
+          <h2>Type a keyword in the search bar to find places.</h2>
+        </Card>
+      )}
+
+      {places?.length === 0 && (
+        <Card className="search-results__empty">
+          <h2>No places match “{q}”.</h2>
+          <p>Try fewer or different words, or search by color instead.</p>
+          <Button to="/color-search">Search by color</Button>
+        </Card>
+      )}
+
+      {places?.length > 0 && (
+        <PlaceList items={places} onDeletePlace={deletePlaceHandler} />
+      )}
+
+      {isLoading && (
+        <div className="center">
+          <LoadingSpinner />
+        </div>
+      )}
+
+      {nextPage && !isLoading && (
+        <div className="search-results__more">
+          <Button inverse onClick={() => fetchPage(nextPage)}>
+            Load more
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -3,6 +3,7 @@ import { useParams } from "react-router-dom";
 
 import Input from "../../shared/components/FormElements/Input";
 import Button from "../../shared/components/FormElements/Button";
+import ImageUpload from "../../shared/components/FormElements/ImageUpload";
 import {
   VALIDATOR_MINLENGTH,
   VALIDATOR_REQUIRE,
@@ -26,6 +27,8 @@ const UpdatePlace = () => {
     {
       title: { value: "", isValid: false },
       description: { value: "", isValid: false },
+      address: { value: "", isValid: false },
+      image: { value: null, isValid: true },
     },
     false,
   );
@@ -47,6 +50,8 @@ const UpdatePlace = () => {
               value: responseData.place.description,
               isValid: true,
             },
+            address: { value: responseData.place.address, isValid: true },
+            image: { value: null, isValid: true },
           },
           true,
         );
@@ -58,17 +63,22 @@ const UpdatePlace = () => {
   const placeUpdateSubmitHandler = async (event) => {
     event.preventDefault();
     try {
+      // Multipart so a replacement image can travel with the text fields.
+      // The backend re-geocodes a changed address and re-runs the color /
+      // embedding analysis for whatever changed.
+      const formData = new FormData();
+      formData.append("title", formState.inputs.title.value);
+      formData.append("description", formState.inputs.description.value);
+      formData.append("address", formState.inputs.address.value);
+      if (formState.inputs.image.value) {
+        formData.append("image", formState.inputs.image.value);
+      }
+
       await sendRequest(
         process.env.REACT_APP_BACKEND_URL + `/places/${placeId}`,
         "PATCH",
-        JSON.stringify({
-          title: formState.inputs.title.value,
-          description: formState.inputs.description.value,
-        }),
-        {
-          "Content-Type": "application/json",
-          Authorization: "Bearer " + token,
-        },
+        formData,
+        { Authorization: "Bearer " + token },
       );
       history.push(`/${userId}/places`);
     } catch (err) {}
@@ -113,6 +123,23 @@ const UpdatePlace = () => {
             value={identifiedPlace.description}
             valid={true}
           />
+          <Input
+            id="address"
+            label="Address"
+            element="input"
+            type="text"
+            validators={[VALIDATOR_REQUIRE()]}
+            errorText="Please enter a valid address."
+            onInput={inputHandler}
+            value={identifiedPlace.address}
+            valid={true}
+          />
+          <ImageUpload
+            id="image"
+            onInput={inputHandler}
+            initialPreviewUrl={identifiedPlace.image}
+            optional
+          />
           <Button type="submit" disabled={!formState.isValid}>
             UPDATE PLACE
           </Button>
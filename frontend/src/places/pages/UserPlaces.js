@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useParams } from "react-router-dom";
 
 import PlaceList from "../components/PlaceList";
@@ -6,22 +6,64 @@ import useHttpClient from "../../shared/hooks/http-hook.js";
 import ErrorModal from "../../shared/components/UIElements/ErrorModal.js";
 import LoadingSpinner from "../../shared/components/UIElements/LoadingSpinner";
 
+const PAGE_SIZE = 12;
+
 const UserPlaces = () => {
   const userId = useParams().userId;
   const { isLoading, error, sendRequest, clearError } = useHttpClient();
   const [loadedPlaces, setLoadedPlaces] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
 
-  useEffect(() => {
-    const fetchPlaces = async () => {
+  // The user the list belongs to; a page that arrives after navigating to
+  // another user is dropped instead of landing in their list
+  const activeUserId = useRef(userId);
+
+  // ── Pages — the first replaces the list, later ones append ──────────────
+  const fetchPage = useCallback(
+    async (cursor) => {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set("cursor", cursor);
       try {
         const responseData = await sendRequest(
-          process.env.REACT_APP_BACKEND_URL + `/places/user/${userId}`,
+          process.env.REACT_APP_BACKEND_URL +
+            `/places/user/${userId}?${params}`,
+        );
+        if (userId !== activeUserId.current) return;
+        setLoadedPlaces((prev) =>
+          cursor
+            ? [...(prev ?? []), ...responseData.places]
+            : responseData.places,
         );
-        setLoadedPlaces(responseData.places);
+        setNextCursor(responseData.pagination.nextCursor);
       } catch (err) {}
-    };
-    fetchPlaces();
-  }, [sendRequest, userId]);
+    },
+    [sendRequest, userId],
+  );
+
+  useEffect(() => {
+    activeUserId.current = userId;
+    setLoadedPlaces(null);
+    setNextCursor(null);
+    fetchPage(null);
+  }, [userId, fetchPage]);
+
+  // ── Infinite scroll ──────────────────────────────────────────────────────
+  // A sentinel below the list loads the next page once it scrolls into view.
+  // The observer is re-created after every page, so a page that doesn't fill
+  // the screen is followed by the next one straight away.
+  const sentinelRef = useRef();
+
+  useEffect(() => {
+    if (!nextCursor || isLoading || error) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) fetchPage(nextCursor);
+      },
+      { rootMargin: "400px" },
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [nextCursor, isLoading, error, fetchPage]);
 
   const deletePlaceHandler = (deletedPlaceId) => {
     setLoadedPlaces((prev) => prev.filter((p) => p.id !== deletedPlaceId));
@@ -30,14 +72,15 @@ const UserPlaces = () => {
   return (
     <>
       <ErrorModal error={error} onClear={clearError} />
+      {loadedPlaces && (
+        <PlaceList items={loadedPlaces} onDeletePlace={deletePlaceHandler} />
+      )}
+      {nextCursor && <div ref={sentinelRef} />}
       {isLoading && (
         <div className="center">
           <LoadingSpinner />
         </div>
       )}
-      {!isLoading && loadedPlaces && (
-        <PlaceList items={loadedPlaces} onDeletePlace={deletePlaceHandler} />
-      )}
     </>
   );
 };
@@ -5,8 +5,10 @@ import "./ImageUpload.css";
 const ImageUpload = (props) => {
   const imagePickerRef = useRef();
   const [file, setFile] = useState(null);
-  const [previewUrl, setPreviewUrl] = useState(null);
-  const [isValid, setIsValid] = useState(false);
+  // initialPreviewUrl shows the current image when editing; with `optional`
+  // the input stays valid without a newly picked file
+  const [previewUrl, setPreviewUrl] = useState(props.initialPreviewUrl || null);
+  const [isValid, setIsValid] = useState(!!props.optional);
 
   useEffect(() => {
     if (!file) return;
@@ -27,8 +29,8 @@ const ImageUpload = (props) => {
       setIsValid(true);
       fileIsValid = true;
     } else {
-      setIsValid(false);
-      fileIsValid = false;
+      setIsValid(!!props.optional);
+      fileIsValid = !!props.optional;
     }
     props.onInput(props.id, file, fileIsValid);
   };
@@ -3,6 +3,7 @@ import { Link } from "react-router-dom";
 
 import MainHeader from "./MainHeader";
 import NavLinks from "./NavLinks";
+import SearchBar from "./SearchBar";
 import SideDrawer from "./SideDrawer";
 import Backdrop from "../UIElements/Backdrop";
 
@@ -22,6 +23,10 @@ const MainNavigation = (props) => {
       {drawerIsOpen && <Backdrop onClick={closeDrawerHandler} />}
       <SideDrawer show={drawerIsOpen} onClick={closeDrawerHandler}>
         <nav className="main-navigation__drawer-nav">
+          <SearchBar
+            className="main-navigation__drawer-search"
+            onSearch={closeDrawerHandler}
+          />
           <NavLinks />
         </nav>
       </SideDrawer>
@@ -37,6 +42,7 @@ const MainNavigation = (props) => {
         <h1 className="main-navigation__title">
           <Link to="/">Your places</Link>
         </h1>
+        <SearchBar className="main-navigation__header-search" />
         <nav className="main-navigation__header-nav">
           <NavLinks />
         </nav>
@@ -17,6 +17,9 @@ const NavLinks = (props) => {
       <li>
         <NavLink to="/color-search">EXPLORE</NavLink>
       </li>
+      <li>
+        <NavLink to="/explore">MAP</NavLink>
+      </li>
       {isLoggedIn && (
         <li>
           <NavLink to={`/${userId}/places`}>MY PLACES</NavLink>
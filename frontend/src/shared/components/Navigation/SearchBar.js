@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { useHistory, useLocation } from "react-router-dom";
+
+import "./SearchBar.css";
+
+// Keyword search box; submitting opens /search?q=…
+const SearchBar = (props) => {
+  const history = useHistory();
+  const location = useLocation();
+  const [query, setQuery] = useState("");
+
+  // Keep the box in step with the results page (back/forward, shared links)
+  useEffect(() => {
+    if (location.pathname === "/search") {
+      setQuery(new URLSearchParams(location.search).get("q") || "");
+    }
+  }, [location]);
+
+  const submitHandler = (event) => {
+    event.preventDefault();
+    const q = query.trim();
+    if (!q) return;
+    history.push(`/search?q=${encodeURIComponent(q)}`);
+    if (props.onSearch) props.onSearch(q);
+  };
+
+  return (
+    <form
+      className={`search-bar ${props.className || ""}`}
+      role="search"
+      onSubmit={submitHandler}
+      // The side drawer closes on any click inside it
+      onClick={(event) => event.stopPropagation()}
+    >
+      <input
+        type="search"
+        placeholder="Search places…"
+        aria-label="Search places"
+        maxLength={200}
+        value={query}
+        onChange={(event) => setQuery(event.target.value)}
+      />
+    </form>
+  );
+};
+
+export default SearchBar;
@@ -1,21 +1,158 @@
-import { useRef, useEffect } from "react";
+import { useRef, useEffect, useState } from "react";
+
+import { clusterMarkers } from "../../utils/map-clusters";
+import { loadMapAdapter } from "../../utils/map-provider";
 import "./Map.css";
 
+const DEFAULT_PIN_COLOR = "#ff1f6b";
+const PIN_SIZE = 18;
+
+const pinSize = (count) =>
+  count > 1 ? Math.min(24 + count * 2, 56) : PIN_SIZE;
+
+// Pin content for a marker: a dot in the place's color, or a counted bubble
+// for a cluster
+const pinElement = (cluster) => {
+  const element = document.createElement("div");
+  const count = cluster.markers.length;
+  element.className = count > 1 ? "map-pin map-pin--cluster" : "map-pin";
+  element.style.backgroundColor = cluster.color || DEFAULT_PIN_COLOR;
+  if (count > 1) {
+    element.textContent = count;
+    element.style.setProperty("--cluster-size", `${pinSize(count)}px`);
+  }
+  return element;
+};
+
+const formatCoordinate = (value, positive, negative) =>
+  `${Math.abs(value).toFixed(5)}° ${value >= 0 ? positive : negative}`;
+
+/**
+ * Interactive map, drawn by whichever provider map-provider.js loads.
+ *
+ * Without `markers` it shows a single default marker at `center`. With
+ * `markers` ([{ id, position: { lat, lng }, color, title }]) it draws a
+ * colored pin per marker, merged into clusters when `cluster` is set;
+ * clicking a pin calls `onMarkerClick(marker)`, clicking a cluster zooms in.
+ * `onBoundsChange({ west, south, east, north, zoom })` fires whenever the
+ * map comes to rest after a pan or zoom.
+ *
+ * When no provider loads it renders a static card with the coordinates.
+ */
 const Map = (props) => {
   const mapRef = useRef();
-  const { center, zoom } = props;
+  const mapHandle = useRef(null);
+  const { center, zoom, markers, cluster, onMarkerClick, onBoundsChange } =
+    props;
+  const [status, setStatus] = useState("loading"); // loading | ready | failed
+  // Why each provider failed, shown on the static card
+  const [failures, setFailures] = useState([]);
+  const [currentZoom, setCurrentZoom] = useState(zoom);
+
+  // Handlers change on every render of the parent; the map listeners are
+  // registered once and read the latest ones from here
+  const handlers = useRef({});
+  handlers.current = { onMarkerClick, onBoundsChange };
+
+  // The map is created once, at the view current at that time; later
+  // center / zoom changes are applied by the setView effect below
+  const initialView = useRef({ center, zoom });
+
   useEffect(() => {
-    const map = new window.google.maps.Map(mapRef.current, {
-      center: center,
-      zoom: zoom,
-      mapId: "%REACT_APP_MAP_ID%",
-    });
+    let cancelled = false;
 
-    new window.google.maps.marker.AdvancedMarkerElement({
-      position: center,
-      map: map,
+    loadMapAdapter().then(({ adapter, failures }) => {
+      if (cancelled) return;
+      if (!adapter) {
+        setFailures(failures);
+        return setStatus("failed");
+      }
+      try {
+        mapHandle.current = adapter.createMap(mapRef.current, {
+          ...initialView.current,
+          onIdle: (bounds) => {
+            setCurrentZoom(bounds.zoom);
+            if (handlers.current.onBoundsChange) {
+              handlers.current.onBoundsChange(bounds);
+            }
+          },
+        });
+        setStatus("ready");
+      } catch (err) {
+        setFailures([
+          ...failures,
+          { name: adapter.name, message: err.message },
+        ]);
+        setStatus("failed");
+      }
     });
-  }, [center, zoom]);
+
+    return () => {
+      cancelled = true;
+      if (mapHandle.current) mapHandle.current.destroy();
+      mapHandle.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (status === "ready") mapHandle.current.setView(center, zoom);
+  }, [status, center, zoom]);
+
+  useEffect(() => {
+    if (status !== "ready") return;
+    const handle = mapHandle.current;
+
+    if (!markers) {
+      handle.setMarkers([{ position: center }]);
+      return;
+    }
+
+    const clusters = cluster
+      ? clusterMarkers(markers, currentZoom)
+      : markers.map((marker) => ({ ...marker, markers: [marker] }));
+
+    handle.setMarkers(
+      clusters.map((item) => ({
+        position: item.position,
+        title: item.markers.length > 1 ? "" : item.title,
+        content: pinElement(item),
+        size: pinSize(item.markers.length),
+        onClick: () => {
+          if (item.markers.length > 1) {
+            handle.zoomIn(item.position);
+          } else if (handlers.current.onMarkerClick) {
+            handlers.current.onMarkerClick(item.markers[0]);
+          }
+        },
+      })),
+    );
+  }, [status, markers, cluster, currentZoom, center]);
+
+  if (status === "failed") {
+    return (
+      <div className={`map map--static ${props.className}`} style={props.style}>
+        <span className="map__static-pin">📍</span>
+        <p className="map__static-label">Map unavailable</p>
+        {failures.map(({ name, message }) => (
+          <p key={name} className="map__static-reason">
+            {name}: {message}
+          </p>
+        ))}
+        <p className="map__static-coordinates">
+          {formatCoordinate(center.lat, "N", "S")},{" "}
+          {formatCoordinate(center.lng, "E", "W")}
+        </p>
+        <a
+          className="map__static-link"
+          href={`https://www.openstreetmap.org/?mlat=${center.lat}&mlon=${center.lng}#map=${zoom}/${center.lat}/${center.lng}`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          Open in OpenStreetMap →
+        </a>
+      </div>
+    );
+  }
 
   return (
     <div
@@ -0,0 +1,37 @@
+// Inject a <script> or stylesheet <link> once per URL; later calls share the
+// same promise.
+
+const loaded = new Map();
+
+const inject = (url, createElement) => {
+  if (!loaded.has(url)) {
+    const promise = new Promise((resolve, reject) => {
+      const element = createElement();
+      element.onload = () => resolve();
+      element.onerror = () => {
+        loaded.delete(url); // allow a retry on the next call
+        element.remove();
+        reject(new Error(`Failed to load ${url}`));
+      };
+      document.head.appendChild(element);
+    });
+    loaded.set(url, promise);
+  }
+  return loaded.get(url);
+};
+
+export const loadScript = (src) =>
+  inject(src, () => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.async = true;
+    return script;
+  });
+
+export const loadStylesheet = (href) =>
+  inject(href, () => {
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = href;
+    return link;
+  });
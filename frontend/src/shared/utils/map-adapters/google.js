@@ -0,0 +1,89 @@
+import { loadScript } from "../load-script";
+
+// Google Maps JavaScript API with Advanced Markers. Needs
+// REACT_APP_GOOGLE_API_KEY; REACT_APP_MAP_ID selects a cloud-styled map
+// (Google's demo map ID is used without one).
+
+const READY_CALLBACK = "__wandermarkGoogleMapsReady";
+
+const load = () => {
+  if (window.google?.maps?.marker) return Promise.resolve();
+
+  const key = process.env.REACT_APP_GOOGLE_API_KEY;
+  if (!key) {
+    return Promise.reject(new Error("REACT_APP_GOOGLE_API_KEY is not set"));
+  }
+
+  // With loading=async the API is only usable once its callback has run,
+  // not when the script's load event fires
+  return new Promise((resolve, reject) => {
+    window[READY_CALLBACK] = resolve;
+    loadScript(
+      "https://maps.googleapis.com/maps/api/js" +
+        `?key=${encodeURIComponent(key)}&loading=async&libraries=marker` +
+        `&callback=${READY_CALLBACK}`,
+    ).catch(reject);
+  });
+};
+
+const createMap = (element, { center, zoom, onIdle }) => {
+  const { maps } = window.google;
+  const map = new maps.Map(element, {
+    center: center,
+    zoom: zoom,
+    mapId: process.env.REACT_APP_MAP_ID || "DEMO_MAP_ID",
+  });
+
+  const idleListener = map.addListener("idle", () => {
+    const bounds = map.getBounds();
+    if (!bounds) return;
+    const northEast = bounds.getNorthEast();
+    const southWest = bounds.getSouthWest();
+    onIdle({
+      west: southWest.lng(),
+      south: southWest.lat(),
+      east: northEast.lng(),
+      north: northEast.lat(),
+      zoom: map.getZoom(),
+    });
+  });
+
+  let drawn = [];
+  const clearMarkers = () => {
+    drawn.forEach((marker) => (marker.map = null));
+    drawn = [];
+  };
+
+  return {
+    setView: (nextCenter, nextZoom) => {
+      map.setCenter(nextCenter);
+      map.setZoom(nextZoom);
+    },
+    getZoom: () => map.getZoom(),
+    zoomIn: (position) => {
+      map.setCenter(position);
+      map.setZoom(map.getZoom() + 2);
+    },
+    setMarkers: (markers) => {
+      clearMarkers();
+      drawn = markers.map(({ position, title, content, onClick }) => {
+        const marker = new maps.marker.AdvancedMarkerElement({
+          position: position,
+          map: map,
+          content: content,
+          title: title || "",
+        });
+        if (onClick) marker.addListener("click", onClick);
+        return marker;
+      });
+    },
+    destroy: () => {
+      idleListener.remove();
+      clearMarkers();
+    },
+  };
+};
+
+const googleAdapter = { name: "google", load, createMap };
+
+export default googleAdapter;
@@ -0,0 +1,85 @@
+import { loadScript, loadStylesheet } from "../load-script";
+
+// Leaflet with OpenStreetMap tiles. Needs no API key; REACT_APP_TILE_URL and
+// REACT_APP_TILE_ATTRIBUTION point it at another tile server.
+
+const LEAFLET_URL = "https://unpkg.com/leaflet@1.9.4/dist";
+
+const TILE_URL =
+  process.env.REACT_APP_TILE_URL ||
+  "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION =
+  process.env.REACT_APP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const load = () => {
+  if (window.L) return Promise.resolve();
+  return Promise.all([
+    loadStylesheet(`${LEAFLET_URL}/leaflet.css`),
+    loadScript(`${LEAFLET_URL}/leaflet.js`),
+  ]);
+};
+
+// Leaflet keeps counting longitude past ±180° when the world repeats at low
+// zoom; the API only accepts real longitudes
+const wrapLng = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+const clampLat = (lat) => Math.min(Math.max(lat, -90), 90);
+
+const createMap = (element, { center, zoom, onIdle }) => {
+  const L = window.L;
+  const map = L.map(element);
+  L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 19 }).addTo(
+    map,
+  );
+  const markerLayer = L.layerGroup().addTo(map);
+
+  map.on("moveend", () => {
+    const bounds = map.getBounds();
+    const spansWorld = bounds.getEast() - bounds.getWest() >= 360;
+    onIdle({
+      west: spansWorld ? -180 : wrapLng(bounds.getWest()),
+      south: clampLat(bounds.getSouth()),
+      east: spansWorld ? 180 : wrapLng(bounds.getEast()),
+      north: clampLat(bounds.getNorth()),
+      zoom: map.getZoom(),
+    });
+  });
+  map.setView([center.lat, center.lng], zoom);
+
+  // Unlike Google Maps, Leaflet doesn't notice its container resizing (e.g.
+  // a modal animating open) and would leave tiles missing
+  const resizeObserver = new ResizeObserver(() => map.invalidateSize());
+  resizeObserver.observe(element);
+
+  return {
+    setView: (nextCenter, nextZoom) =>
+      map.setView([nextCenter.lat, nextCenter.lng], nextZoom),
+    getZoom: () => map.getZoom(),
+    zoomIn: (position) =>
+      map.setView([position.lat, position.lng], map.getZoom() + 2),
+    setMarkers: (markers) => {
+      markerLayer.clearLayers();
+      markers.forEach(({ position, title, content, size, onClick }) => {
+        const options = { title: title || "" };
+        if (content) {
+          options.icon = L.divIcon({
+            html: content,
+            className: "",
+            iconSize: [size, size],
+          });
+        }
+        const marker = L.marker([position.lat, position.lng], options);
+        if (onClick) marker.on("click", onClick);
+        marker.addTo(markerLayer);
+      });
+    },
+    destroy: () => {
+      resizeObserver.disconnect();
+      map.remove();
+    },
+  };
+};
+
+const leafletAdapter = { name: "leaflet", load, createMap };
+
+export default leafletAdapter;
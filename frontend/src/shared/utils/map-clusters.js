@@ -0,0 +1,65 @@
+// Grid-based marker clustering, done in screen space so clusters look the
+// same size at every zoom level.
+
+const TILE_SIZE = 256;
+const CELL_SIZE = 64; // px; markers closer than this merge at the current zoom
+export const MAX_CLUSTER_ZOOM = 16; // from here on every marker stands alone
+
+// Web Mercator world coordinates in pixels at `zoom`
+const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(
+    Math.max(Math.sin((lat * Math.PI) / 180), -0.9999),
+    0.9999,
+  );
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+};
+
+// The color most of a cluster's markers share
+const mostCommonColor = (markers) => {
+  const counts = {};
+  let best = markers[0].color;
+  for (const { color } of markers) {
+    counts[color] = (counts[color] || 0) + 1;
+    if (counts[color] > counts[best]) best = color;
+  }
+  return best;
+};
+
+/**
+ * Group markers ({ id, position: { lat, lng }, color, ... }) into clusters.
+ *
+ * @returns {Array<{ id: string, position, color, markers: Object[] }>} a
+ *   cluster of one is just that marker
+ */
+export const clusterMarkers = (markers, zoom) => {
+  if (zoom >= MAX_CLUSTER_ZOOM) {
+    return markers.map((marker) => ({ ...marker, markers: [marker] }));
+  }
+
+  const cells = new Map();
+  for (const marker of markers) {
+    const { x, y } = project(marker.position, zoom);
+    const key = `${Math.floor(x / CELL_SIZE)}:${Math.floor(y / CELL_SIZE)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(marker);
+  }
+
+  return [...cells.entries()].map(([key, members]) => {
+    if (members.length === 1) return { ...members[0], markers: members };
+    return {
+      id: `cluster:${key}`,
+      position: {
+        lat:
+          members.reduce((sum, m) => sum + m.position.lat, 0) / members.length,
+        lng:
+          members.reduce((sum, m) => sum + m.position.lng, 0) / members.length,
+      },
+      color: mostCommonColor(members),
+      markers: members,
+    };
+  });
+};
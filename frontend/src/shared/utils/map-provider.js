@@ -0,0 +1,89 @@
+/**
+ * map-provider.js
+ *
+ * Selects the map library behind the Map component:
+ *
+ *   REACT_APP_MAP_PROVIDER=google   Google Maps (default when
+ *                                   REACT_APP_GOOGLE_API_KEY is set)
+ *   REACT_APP_MAP_PROVIDER=leaflet  Leaflet + OpenStreetMap tiles (default
+ *                                   otherwise)
+ *
+ * If the configured provider fails to load, the others are tried in turn;
+ * when none loads the Map component shows a static coordinate card listing
+ * why each one failed.
+ *
+ * Every adapter implements:
+ *   name                           adapter id
+ *   load() → Promise               fetch the library; rejects when unavailable
+ *   createMap(element, { center, zoom, onIdle }) → handle
+ *     onIdle({ west, south, east, north, zoom }) is called whenever the map
+ *     comes to rest, including after the first render
+ *
+ * and every handle:
+ *   setView(center, zoom)
+ *   getZoom()
+ *   zoomIn(position)               center on a point and zoom in a few levels
+ *   setMarkers([{ position, title?, content?, size?, onClick? }])
+ *                                  replace the drawn markers; without
+ *                                  `content` (an element `size` px across)
+ *                                  the provider's default marker is used
+ *   destroy()
+ */
+
+import googleAdapter from "./map-adapters/google";
+import leafletAdapter from "./map-adapters/leaflet";
+
+const ADAPTERS = { google: googleAdapter, leaflet: leafletAdapter };
+
+const LOAD_TIMEOUT_MS = 10000;
+
+const providerName =
+  process.env.REACT_APP_MAP_PROVIDER ||
+  (process.env.REACT_APP_GOOGLE_API_KEY ? "google" : "leaflet");
+
+// Reported along with any load failures, so a typo in the setting shows up
+// on the static card
+const configFailure = ADAPTERS[providerName]
+  ? null
+  : {
+      name: providerName,
+      message: `unknown provider, expected one of: ${Object.keys(ADAPTERS).join(", ")}`,
+    };
+
+const candidates = [
+  ADAPTERS[providerName],
+  ...Object.values(ADAPTERS).filter((adapter) => adapter.name !== providerName),
+].filter(Boolean);
+
+const withTimeout = (promise, ms) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timed out")), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+
+let adapterPromise = null;
+
+/**
+ * The first adapter that loads (null when none does), and the providers
+ * tried before it with the reason each failed. Resolved once and shared by
+ * every map on the page.
+ *
+ * @returns {Promise<{ adapter: Object|null, failures: { name: string, message: string }[] }>}
+ */
+export const loadMapAdapter = () => {
+  if (!adapterPromise) {
+    adapterPromise = (async () => {
+      const failures = configFailure ? [configFailure] : [];
+      for (const adapter of candidates) {
+        try {
+          await withTimeout(adapter.load(), LOAD_TIMEOUT_MS);
+          return { adapter, failures };
+        } catch (err) {
+          failures.push({ name: adapter.name, message: err.message });
+        }
+      }
+      return { adapter: null, failures };
+    })();
+  }
+  return adapterPromise;
+};